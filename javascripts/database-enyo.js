@@ -34,12 +34,24 @@ http://webos101.com/Mojo_Database_Helper_Objects
  * - estimatedSize (int): estimated size in bytes
  * - debug (bool): if true, outputs verbose debugging messages (mainly SQL that's being run)
  *
+ * Events:
+ * - onTableChanged: bubbles once a transaction that changed rows commits,
+ *   for each table and operation, whether the write came from query,
+ *   queries, insertData (and so setSchema) or SQL built with the get*
+ *   helpers. The event has:
+ *     * table (string): the table written to
+ *     * operation (string): 'insert', 'update' or 'delete'
+ *     * rowsAffected (int): total rows changed
+ *     * ids (array or null): the inserted row IDs for inserts of single
+ *       rows; null when not every ID is known
+ *
  * USAGE:
  * components: [
  *     {
  *         name: "myDatabase", kind: "onecrayon.Database",
  *         database: 'ext:my_database',
- *         version: '1', estimatedSize: 1048576, debug: true
+ *         version: '1', estimatedSize: 1048576, debug: true,
+ *         onTableChanged: "notesChanged"
  *     }
  * ]
  */
@@ -52,6 +64,9 @@ enyo.kind({
 		estimatedSize: null,
 		debug: false
 	},
+	events: {
+		onTableChanged: ""
+	},
 	
 	/** @protected */
 	db: undefined,
@@ -152,13 +167,16 @@ enyo.kind({
 	 *    * onSuccess (function): method to call on successful query
 	 *        + receives single argument: results as an array of objects
 	 *    * onError (function): method to call on error; defaults to logging
+	 *
+	 * Returns a promise that resolves with the results once the transaction
+	 * commits, or rejects with an onecrayon.DatabaseError
 	 */
 	query: function(sql, options) {
 		// Possible that the user closed the connection already, so double check
 		if (!this.db) {
-			this._db_lost();
-			return;
+			return this._db_lost();
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (typeof options !== 'undefined' ? options : {});
 		// Check to see if they passed in a query object
@@ -176,6 +194,8 @@ enyo.kind({
 		}
 		// Run the transaction
 		var self = this;
+		var resultSet = [];
+		var changes = [];
 		this.db.transaction(function(transaction) {
 			if (self.debug) {
 				// Output the query to the log for debugging
@@ -189,12 +209,24 @@ enyo.kind({
 				try {
 					self.lastInsertRowId = results.insertId;
 				} catch(e) {}
+				self._trackChange(changes, sql, results);
+				resultSet = self._convertResultSet(results);
 				// Call the onSuccess with formatted results
 				if (options.onSuccess) {
-					options.onSuccess(self._convertResultSet(results));
+					options.onSuccess(resultSet);
 				}
-			}, options.onError);
+			}, function(transaction, error) {
+				var failure = new onecrayon.DatabaseError(error, 'query', sql, options.values);
+				deferred.reject(failure);
+				return options.onError(transaction, failure);
+			});
+		}, function(error) {
+			deferred.reject(new onecrayon.DatabaseError(error, 'query', sql, options.values));
+		}, function() {
+			deferred.resolve(resultSet);
+			self._emitChanges(changes);
 		});
+		return deferred.promise;
 	},
 	
 	/**
@@ -212,19 +244,40 @@ enyo.kind({
 	 * - options (object):
 	 *    * onSuccess: function to execute on LAST QUERY success
 	 *    * onError: function to execute on TRANSACTION error
+	 *
+	 * Returns a promise that resolves with the last query's results once the
+	 * transaction commits, or rejects with an onecrayon.DatabaseError naming
+	 * the statement that failed
 	 */
 	queries: function(queries, options) {
 		// Possible that the user closed the connection already, so double check
 		if (!this.db) {
-			this._db_lost();
-			return;
+			return this._db_lost();
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (typeof options !== 'undefined' ? options : {});
 		options = this._getOptions(options);
 		// Run the transaction
 		var DEBUG = this.debug;
 		var self = this;
+		var resultSet = [];
+		var changes = [];
+		var failure = null;
+		// Creates the callback that notes any rows changed by a query
+		var tracker = function(sql) {
+			return function(transaction, results) {
+				self._trackChange(changes, sql, results);
+			};
+		};
+		// Creates the callback that remembers which statement failed
+		var failer = function(sql, values) {
+			return function(transaction, error) {
+				failure = new onecrayon.DatabaseError(error, 'queries', sql, values);
+				// Anything but false rolls back the transaction
+				return true;
+			};
+		};
 		this.db.transaction(function(transaction) {
 			// Loop over each query and execute it
 			var length = queries.length;
@@ -247,12 +300,28 @@ enyo.kind({
 				}
 				if (i === length - 1) {
 					// Last call
-					transaction.executeSql(sql, values, options.onSuccess);
+					transaction.executeSql(sql, values, (function(track) {
+						return function(transaction, results) {
+							track(transaction, results);
+							resultSet = self._convertResultSet(results);
+							options.onSuccess(transaction, results);
+						};
+					})(tracker(sql)), failer(sql, values));
 				} else {
-					transaction.executeSql(sql, values);
+					transaction.executeSql(sql, values, tracker(sql), failer(sql, values));
 				}
 			}
-		}, options.onError);
+		}, function(error) {
+			if (failure === null) {
+				failure = new onecrayon.DatabaseError(error, 'queries');
+			}
+			deferred.reject(failure);
+			options.onError(failure);
+		}, function() {
+			deferred.resolve(resultSet);
+			self._emitChanges(changes);
+		});
+		return deferred.promise;
 	},
 	
 	
@@ -273,6 +342,9 @@ enyo.kind({
 	 *
 	 * PLEASE NOTE: the onSuccess and onError functions may be called multiple
 	 * times if you are inserting data as well as defining a table schema.
+	 *
+	 * Returns a promise that resolves once the tables are created and any
+	 * data is inserted
 	 * 
 	 * Schema Description
 	 * ==================
@@ -359,14 +431,17 @@ enyo.kind({
 			}
 		}
 		if (data.length > 0) {
+			var deferred = this._deferred();
 			var dataInsertFollowup = enyo.bind(this, this.insertData, data, options);
-			// Execute the queries
+			// Execute the queries, and insert the data once the tables exist
 			this.queries(tableQueries, {
-				onSuccess: dataInsertFollowup,
 				onError: options.onError
-			});
+			}).then(function() {
+				dataInsertFollowup().then(deferred.resolve, deferred.reject);
+			}, deferred.reject);
+			return deferred.promise;
 		} else {
-			this.queries(tableQueries, options);
+			return this.queries(tableQueries, options);
 		}
 	},
 	
@@ -379,7 +454,7 @@ enyo.kind({
 	 *     - options (object): same as setSchema options (above)
 	 */
 	setSchemaFromUrl: function(url, options) {
-		this._readUrl(url, this.bound.setSchema, options);
+		return this._readUrl(url, this.bound.setSchema, options, 'setSchemaFromUrl');
 	},
 	
 	/**
@@ -396,6 +471,8 @@ enyo.kind({
 	 *
 	 * The formatting is the same as for the schema, just without the columns.
 	 * Note that data can be a single object if only inserting into one table.
+	 *
+	 * Returns a promise that resolves once the insert transaction commits
 	 */
 	insertData: function(data, options) {
 		// Check to see if it's a single table
@@ -433,7 +510,7 @@ enyo.kind({
 			}
 		}
 		// Execute that sucker!
-		this.queries(dataQueries, options);
+		return this.queries(dataQueries, options);
 	},
 	
 	/**
@@ -444,7 +521,7 @@ enyo.kind({
 	 * - options (object): same as insertData options (above)
 	 */
 	insertDataFromUrl: function(url, options) {
-		this._readUrl(url, this.bound.insertData, options);
+		return this._readUrl(url, this.bound.insertData, options, 'insertDataFromUrl');
 	},
 	
 	
@@ -457,23 +534,29 @@ enyo.kind({
 	 * WARNING: you must have NO other database connections active when you
 	 * do this, and remember that afterward you will need to use the new
 	 * version in your `new Database()` calls.
+	 *
+	 * Returns a promise that resolves with the new version once it is set
 	 */
 	changeVersion: function(newVersion) {
 		// Backwards compatibility with previous incarnation which was changeVersion(from, to)
 		if (arguments.length > 1) {
 			newVersion = arguments[1];
 		}
+		var deferred = this._deferred();
 		var self = this;
-		this.db.changeVersion(this.dbVersion, newVersion, function() {}, function() {
+		this.db.changeVersion(this.dbVersion, newVersion, function() {}, function(error) {
 			if (self.debug) {
 				self.error("DATABASE VERSION UPDATE FAILED: " + newVersion);
 			}
+			deferred.reject(new onecrayon.DatabaseError(error, 'changeVersion'));
 		}, function() {
 			if (self.debug) {
 				self.log("DATABASE VERSION UPDATE SUCCESS: " + newVersion);
 			}
+			deferred.resolve(newVersion);
 		});
 		this.dbVersion = newVersion;
+		return deferred.promise;
 	},
 	
 	/**
@@ -488,15 +571,27 @@ enyo.kind({
 	 * - schema (object or string): same as setSchema (documented above),
 	 *   minus any data insertion support
 	 * - options (object): same as setSchema options
+	 *
+	 * Returns a promise that resolves with the new version once it is set
 	 */
 	changeVersionWithSchema: function(newVersion, schema, options) {
 		// Check to see if it's a single table, make array for convenience
 		if (!enyo.isArray(schema)) {
 			schema = [schema];
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (typeof options !== 'undefined' ? options : {});
 		options = this._getOptions(options);
+		var failure = null;
+		// Creates the callback that remembers which statement failed
+		var failer = function(sql, values) {
+			return function(transaction, error) {
+				failure = new onecrayon.DatabaseError(error, 'changeVersionWithSchema', sql, values);
+				// Anything but false rolls back the transaction
+				return true;
+			};
+		};
 		
 		// Run the changeVersion update!
 		this.db.changeVersion(this.dbVersion, newVersion, enyo.bind(this, function(transaction) {
@@ -519,13 +614,19 @@ enyo.kind({
 					// Output the query to the log for debugging
 					this.log(sql, ' ==> ', values);
 				}
-				if (values !== null) {
-					transaction.executeSql(sql, values);
-				} else {
-					transaction.executeSql(sql);
-				}
+				transaction.executeSql(sql, (values !== null ? values : []), null, failer(sql, values));
 			}
-		}), options.onError, enyo.bind(this, this._versionChanged, newVersion, options.onSuccess));
+		}), enyo.bind(this, function(error) {
+			if (failure === null) {
+				failure = new onecrayon.DatabaseError(error, 'changeVersionWithSchema');
+			}
+			deferred.reject(failure);
+			options.onError(failure);
+		}), enyo.bind(this, function() {
+			this._versionChanged(newVersion, options.onSuccess);
+			deferred.resolve(newVersion);
+		}));
+		return deferred.promise;
 	},
 	
 	/**
@@ -533,7 +634,7 @@ enyo.kind({
 	 * specified in the schema JSON file located at `url`
 	 */
 	changeVersionWithSchemaFromUrl: function(newVersion, url, options) {
-		this._readUrl(url, enyo.bind(this, this.changeVersionWithSchema, newVersion));
+		return this._readUrl(url, enyo.bind(this, this.changeVersionWithSchema, newVersion), options, 'changeVersionWithSchemaFromUrl');
 	},
 	
 	
@@ -765,22 +866,106 @@ enyo.kind({
 	/** @protected */
 	_emptyFunction: function() {},
 	
+	/**
+	 * @protected
+	 * Notes the table and operation of a statement that changed rows
+	 */
+	_trackChange: function(changes, sql, results) {
+		var rowsAffected = 0;
+		var insertId = null;
+		try {
+			rowsAffected = results.rowsAffected;
+		} catch(e) {}
+		if (!rowsAffected) {
+			return;
+		}
+		var match = /^\s*(INSERT|REPLACE|UPDATE|DELETE)(\s+OR\s+\w+)?\s+(INTO\s+|FROM\s+)?("[^"]+"|\[[^\]]+\]|`[^`]+`|[\w$.]+)/i.exec(sql);
+		if (match === null) {
+			return;
+		}
+		var table = match[4];
+		if (/^["\[`]/.test(table)) {
+			table = table.substring(1, table.length - 1);
+		} else if (table.indexOf('.') !== -1) {
+			// Drop the database name from main.table
+			table = table.substring(table.lastIndexOf('.') + 1);
+		}
+		var operation = match[1].toUpperCase();
+		operation = (operation === 'REPLACE' ? 'insert' : operation.toLowerCase());
+		// Accessing insertId throws if the statement did not insert a row
+		try {
+			if (typeof results.insertId !== 'undefined') {
+				insertId = results.insertId;
+			}
+		} catch(e) {}
+		changes.push({
+			"table": table,
+			"operation": operation,
+			"rowsAffected": rowsAffected,
+			"ids": (operation === 'insert' && rowsAffected === 1 && insertId !== null ? [insertId] : null)
+		});
+	},
+	
+	/**
+	 * @protected
+	 * Bubbles onTableChanged for the changes made by a committed transaction,
+	 * one event per table and operation. Runs after the transaction's promise
+	 * has settled; a handler that throws is logged and does not stop the rest.
+	 */
+	_emitChanges: function(changes) {
+		var events = [];
+		var byKey = {};
+		var change, event, key, i;
+		for (i = 0; i < changes.length; i++) {
+			change = changes[i];
+			key = change.table + ' ' + change.operation;
+			if (!byKey.hasOwnProperty(key)) {
+				byKey[key] = {"table": change.table, "operation": change.operation, "rowsAffected": 0, "ids": []};
+				events.push(byKey[key]);
+			}
+			event = byKey[key];
+			event.rowsAffected += change.rowsAffected;
+			event.ids = (event.ids !== null && change.ids !== null ? event.ids.concat(change.ids) : null);
+		}
+		for (i = 0; i < events.length; i++) {
+			try {
+				this.doTableChanged(events[i]);
+			} catch (e) {
+				this.error('Database: onTableChanged handler failed:', e);
+			}
+		}
+	},
+	
 	/**
 	 * @protected
 	 * Used to read in external JSON files
+	 *
+	 * If the file can't be fetched or parsed, onError is called and the
+	 * promise rejects with an onecrayon.DatabaseError of kind REQUEST or
+	 * PARSE, naming `method`.
+	 *
+	 * Returns a promise that settles along with the promise returned by callback
 	 */
-	_readUrl: function(url, callback, options) {
+	_readUrl: function(url, callback, options, method) {
+		var deferred = this._deferred();
+		var fail = enyo.bind(this, function(error) {
+			this._getOptions(options).onError(error);
+			deferred.reject(error);
+		});
 		var callbackBound = enyo.bind(this, function(responseText, response) {
 			// I have no idea why status can be zero when reading file locally, but it can
 			if (response.status === 200 || response.status === 0) {
 				try {
 					var json = enyo.json.parse(responseText);
-					callback(json, options);
 				} catch (e) {
 					this.error('JSON request error:', e);
+					fail(new onecrayon.DatabaseError({"kind": onecrayon.DatabaseError.PARSE, "message": 'invalid JSON at URL `' + url + '`: ' + e.message}, method));
+					return;
 				}
+				callback(json, options).then(deferred.resolve, deferred.reject);
 			} else {
 				this.error('Database: failed to read JSON at URL `' + url + '`');
+				fail(new onecrayon.DatabaseError({"kind": onecrayon.DatabaseError.REQUEST, "message": 'failed to read JSON at URL `' + url + '`'}, method));
 			}
 		});
 		if (typeof enyo.xhrGet !== 'undefined') {
@@ -796,6 +981,7 @@ enyo.kind({
 				callback: callbackBound
 			});
 		}
+		return deferred.promise;
 	},
 	
 	/**
@@ -812,6 +998,25 @@ enyo.kind({
 		return results;
 	},
 	
+	/**
+	 * @protected
+	 * Creates a deferred object with a promise and its resolve/reject functions
+	 *
+	 * Uses the native Promise when there is one, and onecrayon.DatabasePromise
+	 * otherwise. The promise is marked as handled so that callback-only
+	 * callers do not trigger unhandled rejection warnings.
+	 */
+	_deferred: function() {
+		var Thenable = (typeof Promise !== 'undefined' ? Promise : onecrayon.DatabasePromise);
+		var deferred = {};
+		deferred.promise = new Thenable(function(resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		deferred.promise.then(null, this._emptyFunction);
+		return deferred;
+	},
+	
 	/**
 	 * @protected
 	 * Used to report generic database errors
@@ -821,15 +1026,23 @@ enyo.kind({
 		if (typeof error === 'undefined') {
 			var error = transaction;
 		}
-		this.error('Database error (' + error.code + '): ' + error.message);
+		if (!(error instanceof onecrayon.DatabaseError)) {
+			error = new onecrayon.DatabaseError(error);
+		}
+		this.error('Database error (' + error.kind + (error.method ? ' in ' + error.method : '') + '): ' + error.message + (error.sql ? ' [' + error.sql + ']' : ''));
 	},
 	
 	/**
 	 * @protected
 	 * Used to output "database lost" error
+	 *
+	 * Returns a rejected promise for the method that could not run
 	 */
 	_db_lost: function() {
 		this.error('Database: connection has been closed or lost; cannot execute SQL');
+		var deferred = this._deferred();
+		deferred.reject(new onecrayon.DatabaseError({"message": 'connection has been closed or lost'}));
+		return deferred.promise;
 	}
 });
 
@@ -851,3 +1064,146 @@ onecrayon.DatabaseQuery = function(inProps) {
 	this.sql = (typeof inProps.sql !== 'undefined' ? inProps.sql : '');
 	this.values = (typeof inProps.values !== 'undefined' ? inProps.values : []);
 };
+
+
+/**
+ * onecrayon.DatabaseError (object)
+ *
+ * Promises are rejected with, and onError callbacks receive, one of these.
+ * It wraps the SQLError (or other error) that caused the failure:
+ *
+ * - message (string): what went wrong
+ * - code (int): the SQLError code, or 0 when SQLite wasn't involved
+ * - kind (string): name for the sort of failure, for branching on:
+ *   UNKNOWN, DATABASE, VERSION, TOO_LARGE, QUOTA, SYNTAX, CONSTRAINT and
+ *   TIMEOUT match the SQLError codes; REQUEST and PARSE are failures to
+ *   fetch or parse JSON in the *FromUrl methods
+ * - method (string): the Database method that failed, e.g. 'queries'
+ * - sql (string), values (array): the failing statement, when known
+ * - error: the original error object
+ *
+ * USAGE:
+ * this.$.db.queries(inserts).then(null, enyo.bind(this, function(error) {
+ *     if (error.kind === onecrayon.DatabaseError.QUOTA) {
+ *         // tell the user that storage is full
+ *     }
+ * }));
+ */
+onecrayon.DatabaseError = function(error, method, sql, values) {
+	var error = (typeof error !== 'undefined' && error !== null ? error : {});
+	this.message = (typeof error.message !== 'undefined' ? String(error.message) : String(error));
+	this.code = (typeof error.code === 'number' ? error.code : 0);
+	this.kind = (typeof error.kind === 'string' ? error.kind : onecrayon.DatabaseError.kinds[this.code]);
+	if (typeof this.kind === 'undefined') {
+		this.kind = onecrayon.DatabaseError.UNKNOWN;
+	}
+	this.method = (typeof method !== 'undefined' ? method : null);
+	this.sql = (typeof sql !== 'undefined' ? sql : null);
+	this.values = (typeof values !== 'undefined' ? values : null);
+	this.error = error;
+	this.stack = (new Error(this.message)).stack;
+};
+
+onecrayon.DatabaseError.prototype = new Error();
+onecrayon.DatabaseError.prototype.constructor = onecrayon.DatabaseError;
+onecrayon.DatabaseError.prototype.name = 'DatabaseError';
+
+// Kinds of error, indexed by SQLError code in onecrayon.DatabaseError.kinds
+onecrayon.DatabaseError.UNKNOWN = 'UNKNOWN';
+onecrayon.DatabaseError.DATABASE = 'DATABASE';
+onecrayon.DatabaseError.VERSION = 'VERSION';
+onecrayon.DatabaseError.TOO_LARGE = 'TOO_LARGE';
+onecrayon.DatabaseError.QUOTA = 'QUOTA';
+onecrayon.DatabaseError.SYNTAX = 'SYNTAX';
+onecrayon.DatabaseError.CONSTRAINT = 'CONSTRAINT';
+onecrayon.DatabaseError.TIMEOUT = 'TIMEOUT';
+onecrayon.DatabaseError.REQUEST = 'REQUEST';
+onecrayon.DatabaseError.PARSE = 'PARSE';
+onecrayon.DatabaseError.kinds = ['UNKNOWN', 'DATABASE', 'VERSION', 'TOO_LARGE', 'QUOTA', 'SYNTAX', 'CONSTRAINT', 'TIMEOUT'];
+
+
+/**
+ * onecrayon.DatabasePromise (object)
+ *
+ * A minimal thenable used in place of Promise on platforms that lack one
+ * (webOS shipped well before native promises). Only supports then() and
+ * catch(); callbacks always run asynchronously.
+ *
+ * USAGE:
+ * this.$.db.query('SELECT * FROM notes').then(enyo.bind(this, function(rows) {
+ *     // work with rows
+ * }), enyo.bind(this, function(error) {
+ *     // error.kind, error.sql, etc.
+ * }));
+ */
+onecrayon.DatabasePromise = function(executor) {
+	this._state = 'pending';
+	this._value = undefined;
+	this._handlers = [];
+	var self = this;
+	var done = false;
+	var settle = function(state, value) {
+		self._state = state;
+		self._value = value;
+		var length = self._handlers.length;
+		for (var i = 0; i < length; i++) {
+			setTimeout(self._handlers[i], 0);
+		}
+		self._handlers = [];
+	};
+	var resolve = function(value) {
+		if (done) {
+			return;
+		}
+		done = true;
+		if (value && typeof value.then === 'function') {
+			value.then(function(inner) {
+				settle('fulfilled', inner);
+			}, function(reason) {
+				settle('rejected', reason);
+			});
+		} else {
+			settle('fulfilled', value);
+		}
+	};
+	var reject = function(reason) {
+		if (done) {
+			return;
+		}
+		done = true;
+		settle('rejected', reason);
+	};
+	try {
+		executor(resolve, reject);
+	} catch (e) {
+		reject(e);
+	}
+};
+
+onecrayon.DatabasePromise.prototype.then = function(onFulfilled, onRejected) {
+	var self = this;
+	return new onecrayon.DatabasePromise(function(resolve, reject) {
+		var handler = function() {
+			var fulfilled = (self._state === 'fulfilled');
+			var callback = (fulfilled ? onFulfilled : onRejected);
+			if (typeof callback !== 'function') {
+				(fulfilled ? resolve : reject)(self._value);
+				return;
+			}
+			try {
+				resolve(callback(self._value));
+			} catch (e) {
+				reject(e);
+			}
+		};
+		if (self._state === 'pending') {
+			self._handlers.push(handler);
+		} else {
+			setTimeout(handler, 0);
+		}
+	});
+};
+
+onecrayon.DatabasePromise.prototype['catch'] = function(onRejected) {
+	return this.then(null, onRejected);
+};
\ No newline at end of file
@@ -137,13 +137,16 @@ var Database = Class.create({
 	 *    * onSuccess (function): method to call on successful query
 	 *        + receives single argument: results as an array of objects
 	 *    * onError (function): method to call on error; defaults to logging
+	 *
+	 * Returns a promise that resolves with the results once the transaction
+	 * commits, or rejects with a DatabaseError
 	 */
 	query: function(sql, options) {
 		// Possible that the user closed the connection already, so double check
 		if (!this.db) {
-			this._db_lost();
-			return;
+			return this._db_lost();
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (!Object.isUndefined(options) ? options : {});
 		// Check to see if they passed in a query object
@@ -164,6 +167,7 @@ var Database = Class.create({
 			sql = sql + ' GO;';
 		}
 		// Run the transaction
+		var resultSet = [];
 		this.db.transaction(function(transaction) {
 			if (DATABASE_DEBUG) {
 				// Output the query to the log for debugging
@@ -177,12 +181,22 @@ var Database = Class.create({
 				try {
 					this.lastInsertRowId = results.insertId;
 				} catch(e) {}
+				resultSet = this._convertResultSet(results);
 				// Call the onSuccess with formatted results
 				if (options.onSuccess) {
-					options.onSuccess(this._convertResultSet(results));
+					options.onSuccess(resultSet);
 				}
-			}.bind(this), options.onError);
-		}.bind(this));
+			}.bind(this), function(transaction, error) {
+				var failure = new DatabaseError(error, 'query', sql, options.values);
+				deferred.reject(failure);
+				return options.onError(transaction, failure);
+			}.bind(this));
+		}.bind(this), function(error) {
+			deferred.reject(new DatabaseError(error, 'query', sql, options.values));
+		}.bind(this), function() {
+			deferred.resolve(resultSet);
+		});
+		return deferred.promise;
 	},
 	
 	/**
@@ -200,17 +214,31 @@ var Database = Class.create({
 	 * - options (object):
 	 *    * onSuccess: function to execute on LAST QUERY success
 	 *    * onError: function to execute on TRANSACTION error
+	 *
+	 * Returns a promise that resolves with the last query's results once the
+	 * transaction commits, or rejects with a DatabaseError naming the
+	 * statement that failed
 	 */
 	queries: function(queries, options) {
 		// Possible that the user closed the connection already, so double check
 		if (!this.db) {
-			this._db_lost();
-			return;
+			return this._db_lost();
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (!Object.isUndefined(options) ? options : {});
 		options = this._getOptions(options);
 		// Run the transaction
+		var resultSet = [];
+		var failure = null;
+		// Creates the callback that remembers which statement failed
+		var failer = function(sql, values) {
+			return function(transaction, error) {
+				failure = new DatabaseError(error, 'queries', sql, values);
+				// Anything but false rolls back the transaction
+				return true;
+			};
+		};
 		this.db.transaction(function(transaction) {
 			// Loop over each query and execute it
 			// Avoiding each saves on memory usage
@@ -234,12 +262,24 @@ var Database = Class.create({
 				}
 				if (i == length - 1) {
 					// Last call
-					transaction.executeSql(sql, values, options.onSuccess);
+					transaction.executeSql(sql, values, function(transaction, results) {
+						resultSet = this._convertResultSet(results);
+						options.onSuccess(transaction, results);
+					}.bind(this), failer(sql, values));
 				} else {
-					transaction.executeSql(sql, values);
+					transaction.executeSql(sql, values, null, failer(sql, values));
 				}
 			}
-		}, options.onError);
+		}.bind(this), function(error) {
+			if (failure === null) {
+				failure = new DatabaseError(error, 'queries');
+			}
+			deferred.reject(failure);
+			options.onError(failure);
+		}.bind(this), function() {
+			deferred.resolve(resultSet);
+		});
+		return deferred.promise;
 	},
 	
 	
@@ -260,6 +300,9 @@ var Database = Class.create({
 	 *
 	 * PLEASE NOTE: the onSuccess and onError functions may be called multiple
 	 * times if you are inserting data as well as defining a table schema.
+	 *
+	 * Returns a promise that resolves once the tables are created and any
+	 * data is inserted
 	 * 
 	 * Schema Description
 	 * ==================
@@ -346,18 +389,17 @@ var Database = Class.create({
 			}
 		}
 		if (data.length > 0) {
-			// Setup a synchronizer to allow the data insertion to proceed after table creation
-			var synchronizer = new Mojo.Function.Synchronize({
-				syncCallback: this.insertData.bind(this, data, options)
-			});
-			var wrapTrigger = synchronizer.wrap(function() {});
-			// Execute the queries
+			var deferred = this._deferred();
+			var dataInsertFollowup = this.insertData.bind(this, data, options);
+			// Execute the queries, and insert the data once the tables exist
 			this.queries(tableQueries, {
-				onSuccess: wrapTrigger,
 				onError: options.onError
-			});
+			}).then(function() {
+				dataInsertFollowup().then(deferred.resolve, deferred.reject);
+			}, deferred.reject);
+			return deferred.promise;
 		} else {
-			this.queries(tableQueries, options);
+			return this.queries(tableQueries, options);
 		}
 	},
 	
@@ -369,7 +411,7 @@ var Database = Class.create({
 	 *     - options (object): same as setSchema options (above)
 	 */
 	setSchemaFromURL: function(url, options) {
-		this._readURL(url, this.bound.setSchema, options);
+		return this._readURL(url, this.bound.setSchema, options, 'setSchemaFromURL');
 	},
 	
 	/**
@@ -386,6 +428,8 @@ var Database = Class.create({
 	 *
 	 * The formatting is the same as for the schema, just without the columns.
 	 * Note that data can be a single object if only inserting into one table.
+	 *
+	 * Returns a promise that resolves once the insert transaction commits
 	 */
 	insertData: function(data, options) {
 		// Check to see if it's a single table
@@ -423,7 +467,7 @@ var Database = Class.create({
 			}
 		}
 		// Execute that sucker!
-		this.queries(dataQueries, options);
+		return this.queries(dataQueries, options);
 	},
 	
 	/**
@@ -434,7 +478,7 @@ var Database = Class.create({
 	 * - options (object): same as insertData options (above)
 	 */
 	insertDataFromURL: function(url, options) {
-		this._readURL(url, this.bound.insertData, options);
+		return this._readURL(url, this.bound.insertData, options, 'insertDataFromURL');
 	},
 	
 	
@@ -447,22 +491,28 @@ var Database = Class.create({
 	 * WARNING: you must have NO other database connections active when you
 	 * do this, and remember that afterward you will need to use the new
 	 * version in your `new Database()` calls.
+	 *
+	 * Returns a promise that resolves with the new version once it is set
 	 */
 	changeVersion: function(newVersion) {
 		// Backwards compatibility with previous incarnation which was changeVersion(from, to)
 		if (arguments.length > 1) {
 			newVersion = arguments[1];
 		}
-		this.db.changeVersion(this.dbVersion, newVersion, function() {}, function() {
+		var deferred = this._deferred();
+		this.db.changeVersion(this.dbVersion, newVersion, function() {}, function(error) {
 			if (DATABASE_DEBUG) {
 				Mojo.Log.error("DATABASE VERSION UPDATE FAILED: " + newVersion);
 			}
-		}, function() {
+			deferred.reject(new DatabaseError(error, 'changeVersion'));
+		}.bind(this), function() {
 			if (DATABASE_DEBUG) {
 				Mojo.Log.info("DATABASE VERSION UPDATE SUCCESS: " + newVersion);
 			}
+			deferred.resolve(newVersion);
 		});
 		this.dbVersion = newVersion;
+		return deferred.promise;
 	},
 	
 	/**
@@ -477,15 +527,27 @@ var Database = Class.create({
 	 * - schema (object or string): same as setSchema (documented above),
 	 *   minus any data insertion support
 	 * - options (object): same as setSchema options
+	 *
+	 * Returns a promise that resolves with the new version once it is set
 	 */
 	changeVersionWithSchema: function(newVersion, schema, options) {
 		// Check to see if it's a single table, make array for convenience
 		if (!Object.isArray(schema)) {
 			schema = [schema];
 		}
+		var deferred = this._deferred();
 		// Merge in user options (if any) to defaults
 		var options = (!Object.isUndefined(options) ? options : {});
 		options = this._getOptions(options);
+		var failure = null;
+		// Creates the callback that remembers which statement failed
+		var failer = function(sql, values) {
+			return function(transaction, error) {
+				failure = new DatabaseError(error, 'changeVersionWithSchema', sql, values);
+				// Anything but false rolls back the transaction
+				return true;
+			};
+		};
 		
 		// Run the changeVersion update!
 		this.db.changeVersion(this.dbVersion, newVersion, function(transaction) {
@@ -508,13 +570,19 @@ var Database = Class.create({
 					// Output the query to the log for debugging
 					Mojo.Log.info(sql, ' ==> ', values);
 				}
-				if (values !== null) {
-					transaction.executeSql(sql, values);
-				} else {
-					transaction.executeSql(sql);
-				}
+				transaction.executeSql(sql, (values !== null ? values : []), null, failer(sql, values));
 			}
-		}.bind(this), options.onError, this._versionChanged.bind(this, newVersion, options.onSuccess));
+		}.bind(this), function(error) {
+			if (failure === null) {
+				failure = new DatabaseError(error, 'changeVersionWithSchema');
+			}
+			deferred.reject(failure);
+			options.onError(failure);
+		}.bind(this), function() {
+			this._versionChanged(newVersion, options.onSuccess);
+			deferred.resolve(newVersion);
+		}.bind(this));
+		return deferred.promise;
 	},
 	
 	/**
@@ -522,7 +590,7 @@ var Database = Class.create({
 	 * specified in the schema JSON file located at `url`
 	 */
 	changeVersionWithSchemaFromURL: function(newVersion, url, options) {
-		this._readURL(url, this.changeVersionWithSchema.bind(this, newVersion));
+		return this._readURL(url, this.changeVersionWithSchema.bind(this, newVersion), options, 'changeVersionWithSchemaFromURL');
 	},
 	
 	
@@ -749,22 +817,39 @@ var Database = Class.create({
 		return opts.merge(userOptions).toObject();
 	},
 	
-	/* Used to read in external JSON files */
-	_readURL: function(url, callback, options) {
+	/*
+	 * Used to read in external JSON files
+	 *
+	 * If the file can't be fetched or parsed, onError is called and the
+	 * promise rejects with a DatabaseError of kind REQUEST or PARSE, naming
+	 * `method`.
+	 *
+	 * Returns a promise that settles along with the promise returned by callback
+	 */
+	_readURL: function(url, callback, options, method) {
+		var deferred = this._deferred();
+		var fail = function(error) {
+			this._getOptions(options).onError(error);
+			deferred.reject(error);
+		}.bind(this);
 		new Ajax.Request(url, {
 			method: 'get',
 			onSuccess: function(response) {
 				try {
 					var json = response.responseText.evalJSON(true);
-					callback(json, options);
 				} catch (e) {
 					Mojo.Log.error('JSON request error:', e);
+					fail(new DatabaseError({"kind": DatabaseError.PARSE, "message": 'invalid JSON at URL `' + url + '`: ' + e.message}, method));
+					return;
 				}
-			},
+				callback(json, options).then(deferred.resolve, deferred.reject);
+			}.bind(this),
 			onFailure: function(failure) {
 				Mojo.Log.error('Database: failed to read JSON at URL `' + url + '`');
-			}
+				fail(new DatabaseError({"kind": DatabaseError.REQUEST, "message": 'failed to read JSON at URL `' + url + '`'}, method));
+			}.bind(this)
 		});
+		return deferred.promise;
 	},
 	
 	/* Converts an SQLResultSet into a standard Javascript array of results */
@@ -778,18 +863,42 @@ var Database = Class.create({
 		return results;
 	},
 	
+	/*
+	 * Creates a deferred object with a promise and its resolve/reject functions
+	 *
+	 * Uses the native Promise when there is one, and DatabasePromise otherwise.
+	 * The promise is marked as handled so that callback-only callers do not
+	 * trigger unhandled rejection warnings.
+	 */
+	_deferred: function() {
+		var Thenable = (typeof Promise !== 'undefined' ? Promise : DatabasePromise);
+		var deferred = {};
+		deferred.promise = new Thenable(function(resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		deferred.promise.then(null, Prototype.emptyFunction);
+		return deferred;
+	},
+	
 	/* Used to report generic database errors */
 	_errorHandler: function(transaction, error) {
 		// If a transaction error (rather than an executeSQL error) there might only be one parameter
 		if (Object.isUndefined(error)) {
 			var error = transaction;
 		}
-		Mojo.Log.error('Database error (' + error.code + '): ' + error.message);
+		if (!(error instanceof DatabaseError)) {
+			error = new DatabaseError(error);
+		}
+		Mojo.Log.error('Database error (' + error.kind + (error.method ? ' in ' + error.method : '') + '): ' + error.message + (error.sql ? ' [' + error.sql + ']' : ''));
 	},
 	
-	/* Used to output "database lost" error */
+	/* Used to output "database lost" error; returns a rejected promise */
 	_db_lost: function() {
 		Mojo.Log.error('Database: connection has been closed or lost; cannot execute SQL');
+		var deferred = this._deferred();
+		deferred.reject(new DatabaseError({"message": 'connection has been closed or lost'}));
+		return deferred.promise;
 	}
 });
 
@@ -813,3 +922,147 @@ var DatabaseQuery = Class.create({
 		this.values = values;
 	}
 });
+
+
+/**
+ * DatabaseError (class)
+ *
+ * Promises are rejected with, and onError callbacks receive, one of these.
+ * It wraps the SQLError (or other error) that caused the failure:
+ *
+ * - message (string): what went wrong
+ * - code (int): the SQLError code, or 0 when SQLite wasn't involved
+ * - kind (string): name for the sort of failure, for branching on:
+ *   UNKNOWN, DATABASE, VERSION, TOO_LARGE, QUOTA, SYNTAX, CONSTRAINT and
+ *   TIMEOUT match the SQLError codes; REQUEST and PARSE are failures to
+ *   fetch or parse JSON in the *FromUrl methods
+ * - method (string): the Database method that failed, e.g. 'queries'
+ * - sql (string), values (array): the failing statement, when known
+ * - error: the original error object
+ *
+ * Unlike the other classes here it isn't made with Class.create, which
+ * can't inherit from the native Error.
+ *
+ * USAGE:
+ * db.queries(inserts).then(null, function(error) {
+ *     if (error.kind == DatabaseError.QUOTA) {
+ *         // tell the user that storage is full
+ *     }
+ * });
+ */
+
+var DatabaseError = function(error, method, sql, values) {
+	var error = (!Object.isUndefined(error) && error !== null ? error : {});
+	this.message = (!Object.isUndefined(error.message) ? String(error.message) : String(error));
+	this.code = (Object.isNumber(error.code) ? error.code : 0);
+	this.kind = (Object.isString(error.kind) ? error.kind : DatabaseError.kinds[this.code]);
+	if (Object.isUndefined(this.kind)) {
+		this.kind = DatabaseError.UNKNOWN;
+	}
+	this.method = (!Object.isUndefined(method) ? method : null);
+	this.sql = (!Object.isUndefined(sql) ? sql : null);
+	this.values = (!Object.isUndefined(values) ? values : null);
+	this.error = error;
+	this.stack = (new Error(this.message)).stack;
+};
+
+DatabaseError.prototype = new Error();
+DatabaseError.prototype.constructor = DatabaseError;
+DatabaseError.prototype.name = 'DatabaseError';
+
+// Kinds of error, indexed by SQLError code in DatabaseError.kinds
+DatabaseError.UNKNOWN = 'UNKNOWN';
+DatabaseError.DATABASE = 'DATABASE';
+DatabaseError.VERSION = 'VERSION';
+DatabaseError.TOO_LARGE = 'TOO_LARGE';
+DatabaseError.QUOTA = 'QUOTA';
+DatabaseError.SYNTAX = 'SYNTAX';
+DatabaseError.CONSTRAINT = 'CONSTRAINT';
+DatabaseError.TIMEOUT = 'TIMEOUT';
+DatabaseError.REQUEST = 'REQUEST';
+DatabaseError.PARSE = 'PARSE';
+DatabaseError.kinds = ['UNKNOWN', 'DATABASE', 'VERSION', 'TOO_LARGE', 'QUOTA', 'SYNTAX', 'CONSTRAINT', 'TIMEOUT'];
+
+
+/**
+ * DatabasePromise (class)
+ *
+ * A minimal thenable used in place of Promise on platforms that lack one
+ * (webOS shipped well before native promises). Only supports then() and
+ * catch(); callbacks always run asynchronously.
+ *
+ * USAGE:
+ * db.query('SELECT * FROM notes').then(function(rows) {
+ *     // work with rows
+ * }, function(error) {
+ *     // error.kind, error.sql, etc.
+ * });
+ */
+
+var DatabasePromise = Class.create({
+	initialize: function(executor) {
+		this._state = 'pending';
+		this._value = undefined;
+		this._handlers = [];
+		var done = false;
+		var settle = function(state, value) {
+			this._state = state;
+			this._value = value;
+			var length = this._handlers.length;
+			for (var i = 0; i < length; i++) {
+				this._handlers[i].defer();
+			}
+			this._handlers = [];
+		}.bind(this);
+		var resolve = function(value) {
+			if (done) {
+				return;
+			}
+			done = true;
+			if (value && Object.isFunction(value.then)) {
+				value.then(settle.curry('fulfilled'), settle.curry('rejected'));
+			} else {
+				settle('fulfilled', value);
+			}
+		};
+		var reject = function(reason) {
+			if (done) {
+				return;
+			}
+			done = true;
+			settle('rejected', reason);
+		};
+		try {
+			executor(resolve, reject);
+		} catch (e) {
+			reject(e);
+		}
+	},
+	
+	then: function(onFulfilled, onRejected) {
+		return new DatabasePromise(function(resolve, reject) {
+			var handler = function() {
+				var fulfilled = (this._state == 'fulfilled');
+				var callback = (fulfilled ? onFulfilled : onRejected);
+				if (!Object.isFunction(callback)) {
+					(fulfilled ? resolve : reject)(this._value);
+					return;
+				}
+				try {
+					resolve(callback(this._value));
+				} catch (e) {
+					reject(e);
+				}
+			}.bind(this);
+			if (this._state == 'pending') {
+				this._handlers.push(handler);
+			} else {
+				handler.defer();
+			}
+		}.bind(this));
+	},
+	
+	'catch': function(onRejected) {
+		return this.then(null, onRejected);
+	}
+});
\ No newline at end of file
@@ -33,24 +33,48 @@ http://webos101.com/Mojo_Database_Helper_Objects
  * - estimatedSize (int): estimated size in bytes
  * - debug (bool): if true, outputs verbose debugging messages (mainly SQL that's being run)
  *
+ * Instead of the positional arguments, the second argument can be an object
+ * with version, estimatedSize, debug, adapter and cache keys. The adapter is
+ * used to open the database in place of the browser's openDatabase; see
+ * DatabaseSQLiteAdapter for running outside of WebKit. The cache key holds
+ * the options for enableCache().
+ *
  * USAGE:
  * var db = new Database('database-name', '1', null, false);
+ * var db = new Database('database-name', {version: '1', adapter: adapter});
  */
 var Database = function(name, version, estimatedSize, debug) {
 	if (typeof name !== 'string') {
 		throw new Error('Database class constructor requires name argument');
 		return undefined;
 	}
+	var adapter = null;
+	var cacheOptions = null;
 	// Setup public properties
 	this.name = name;
-	this.version = (arguments.length >= 2 ? version : '1');
-	this.estimatedSize = (arguments.length >= 3 ? estimatedSize : null);
-	this.debug = (arguments.length >= 4 ? debug : false);
+	if (version !== null && typeof version === 'object') {
+		var options = this._mixin({"version": '1', "estimatedSize": null, "debug": false, "adapter": null, "cache": null}, version);
+		this.version = options.version;
+		this.estimatedSize = options.estimatedSize;
+		this.debug = options.debug;
+		adapter = options.adapter;
+		cacheOptions = options.cache;
+	} else {
+		this.version = (arguments.length >= 2 ? version : '1');
+		this.estimatedSize = (arguments.length >= 3 ? estimatedSize : null);
+		this.debug = (arguments.length >= 4 ? debug : false);
+	}
 	this.debug = (this.debug);
 	
 	// Open connection to database, and setup protected properties
 	// parameters: name, version, displayName [unused anywhere that I know of], target size
-	this._db = openDatabase(this.name, this.version, '', this.estimatedSize);
+	if (adapter !== null) {
+		this._db = adapter.openDatabase(this.name, this.version, '', this.estimatedSize);
+	} else if (typeof openDatabase !== 'undefined') {
+		this._db = openDatabase(this.name, this.version, '', this.estimatedSize);
+	} else {
+		throw new Error('Database: openDatabase is not available here; pass an adapter option instead');
+	}
 	// Make sure everything is peachy
 	if (!this._db) {
 		throw new Error('Database: failed to open database named ' + this.name);
@@ -60,6 +84,12 @@ var Database = function(name, version, estimatedSize, debug) {
 	this._dbVersion = this._db.version;
 	// Init lastInsertRowId
 	this._lastInsertRowId = 0;
+	// Model classes from defineModel, by table name
+	this._models = {};
+	// Event listeners from on(), by event name
+	this._listeners = {};
+	// Read cache from enableCache()
+	this._cache = null;
 	
 	// Setup bound functions; increases memory footprint, but speeds performance
 	this.bound = {
@@ -67,6 +97,9 @@ var Database = function(name, version, estimatedSize, debug) {
 		insertData: this._bind(this, this.insertData),
 		_errorHandler: this._bind(this, this._errorHandler)
 	};
+	if (cacheOptions !== null) {
+		this.enableCache(cacheOptions);
+	}
 }
 
 // === Standard database methods ===
@@ -80,6 +113,9 @@ Database.prototype.getVersion = function() {
 
 /**
  * Exposes the last ID inserted
+ *
+ * This is shared by every query, so overlapping inserts can overwrite each
+ * other's IDs; prefer the `insertId` passed to query()'s onSuccess.
  */
 Database.prototype.lastInsertId = function() {
 	return this._lastInsertRowId;
@@ -95,14 +131,76 @@ Database.prototype.close = function() {
 }
 
 /**
- * Destroy the entire database for the given version (if passed)
+ * Destroy the contents of the database
+ *
+ * There is no way to delete the database itself, so this drops every user
+ * table, index, view and trigger (as listed in sqlite_master) and resets
+ * the version to an empty string, all in a single transaction.
  *
- * If only there were a way to actually do this...
+ * Parameters:
+ * - options (object):
+ *    * onSuccess (function): called once everything is dropped
+ *    * onError (function): called if the transaction fails
+ *
+ * Returns a promise that resolves once everything is dropped
  */
-Database.prototype.destroy = function(version) {
-	if (console && console.log) {
-		console.log('Database: there is currently no way to destroy a database. Hopefully we will be able to add this in the future.');
+Database.prototype.destroy = function(options) {
+	// Possible that the user closed the connection already, so double check
+	if (!this._db) {
+		this._db_lost();
+		return;
 	}
+	// Older code passed a version here, which was never used
+	var options = (typeof options === 'object' && options !== null ? options : {});
+	options = this._getOptions(options);
+	var deferred = this._deferred();
+	var self = this;
+	// Skip SQLite's own objects and the WebKit version table, which cannot be dropped
+	var sql = "SELECT type, name FROM sqlite_master WHERE type IN ('table', 'index', 'view', 'trigger') " +
+		"AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name NOT LIKE '\\_\\_WebKit%' ESCAPE '\\' ORDER BY rowid DESC";
+	// Drop dependent objects first; dropping a table also removes its indexes and triggers.
+	// Newest tables go first, so that tables referencing others by foreign key go before them
+	var order = ['trigger', 'view', 'index', 'table'];
+	var failure = null;
+	// Creates the callback that remembers which DROP failed
+	var failer = function(drop) {
+		return function(transaction, error) {
+			failure = new DatabaseError(error, 'destroy', drop);
+			// Anything but false rolls back the transaction
+			return true;
+		};
+	};
+	this._db.changeVersion(this._dbVersion, '', function(transaction) {
+		if (self.debug) {
+			console.log(sql);
+		}
+		transaction.executeSql(sql, [], function(transaction, results) {
+			var items = self._convertResultSet(results);
+			var length = items.length;
+			var i, j, drop;
+			for (i = 0; i < order.length; i++) {
+				for (j = 0; j < length; j++) {
+					if (items[j].type === order[i]) {
+						drop = 'DROP ' + order[i].toUpperCase() + ' IF EXISTS ' + self._quoteName(items[j].name);
+						if (self.debug) {
+							console.log(drop);
+						}
+						transaction.executeSql(drop, [], null, failer(drop));
+					}
+				}
+			}
+		});
+	}, function(error) {
+		if (failure === null) {
+			failure = new DatabaseError(error, 'destroy', sql);
+		}
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		self._versionChanged('', options.onSuccess);
+		deferred.resolve();
+	});
+	return deferred.promise;
 }
 
 /**
@@ -116,8 +214,16 @@ Database.prototype.destroy = function(version) {
  *    * values (array): replacements for '?' placeholders in SQL
  *      (only use if not passing a DatabaseQuery object)
  *    * onSuccess (function): method to call on successful query
- *        + receives single argument: results as an array of objects
+ *        + receives the results as an array of objects, plus a result
+ *          object with `sql`, `rowsAffected` and `insertId` (null if the
+ *          query did not insert a row)
  *    * onError (function): method to call on error; defaults to logging
+ *    * withResult (bool): if true, the promise resolves with the result
+ *      object, with the results array added as its `rows`
+ *    * cache (bool): set to false to skip the read cache (see enableCache)
+ *
+ * Returns a promise that resolves with the results once the transaction
+ * commits, or rejects with a DatabaseError
  */
 Database.prototype.query = function(sql, options) {
 	// Possible that the user closed the connection already, so double check
@@ -125,8 +231,9 @@ Database.prototype.query = function(sql, options) {
 		this._db_lost();
 		return;
 	}
-	// Merge in user options (if any) to defaults
-	var options = (typeof options !== 'undefined' ? options : {});
+	var deferred = this._deferred();
+	// Merge in user options (if any) to defaults; copied so the caller's object is left alone
+	var options = this._mixin({}, (typeof options !== 'undefined' ? options : {}));
 	// Check to see if they passed in a query object
 	if (typeof sql !== 'string') {
 		// Translate into options object and SQL string
@@ -134,14 +241,35 @@ Database.prototype.query = function(sql, options) {
 		sql = sql.sql;
 	}
 	// Run the actual merge for our options, making sure there's a default values array
-	options = this._getOptions(options, {"values": []});
+	options = this._getOptions(options, {"values": [], "withResult": false, "cache": true});
 	// Trim whitespace to make sure we can accurately check character positions
 	sql = sql.replace(/(^\s*|\s*$)/g, '');
 	if (sql.lastIndexOf(';') !== sql.length - 1) {
 		sql = sql + ';';
 	}
-	// Run the transaction
 	var self = this;
+	// Answer reads from the cache when possible
+	var cacheKey = null;
+	var cacheGeneration = 0;
+	if (this._cache !== null && options.cache && this._isRead(sql)) {
+		cacheKey = sql + '\u0000' + JSON.stringify(options.values);
+		cacheGeneration = this._cache.generation;
+		var cached = this._readCache(cacheKey);
+		if (cached !== null) {
+			// Stay asynchronous, just like a real query
+			setTimeout(function() {
+				if (options.onSuccess) {
+					options.onSuccess(cached.rows, cached);
+				}
+				deferred.resolve(options.withResult ? cached : cached.rows);
+			}, 0);
+			return deferred.promise;
+		}
+	}
+	// Run the transaction
+	var resultSet = [];
+	var result = null;
+	var changes = [];
 	this._db.transaction(function(transaction) {
 		if (self.debug) {
 			// Output the query to the log for debugging
@@ -151,16 +279,34 @@ Database.prototype.query = function(sql, options) {
 			// We use this anonymous function to format the results
 			// Just passing the SQLResultSet object would require SQLite-specific code on the part of the callback
 			
-			// Try to snag the last insert ID, if available
-			try {
-				self._lastInsertRowId = results.insertId;
-			} catch(e) {}
+			// Each call gets its own result object, so concurrent inserts can't clobber each other's IDs
+			result = self._getResultInfo(results, sql);
+			if (result.insertId !== null) {
+				self._lastInsertRowId = result.insertId;
+			}
+			self._trackChange(changes, result);
+			resultSet = self._convertResultSet(results);
+			result.rows = resultSet;
 			// Call the onSuccess with formatted results
 			if (options.onSuccess) {
-				options.onSuccess(self._convertResultSet(results));
+				options.onSuccess(resultSet, result);
 			}
-		}, options.onError);
+		}, function(transaction, error) {
+			var failure = new DatabaseError(error, 'query', sql, options.values);
+			deferred.reject(failure);
+			return options.onError(transaction, failure);
+		});
+	}, function(error) {
+		deferred.reject(new DatabaseError(error, 'query', sql, options.values));
+	}, function() {
+		self._invalidateCache(changes);
+		if (cacheKey !== null) {
+			self._writeCache(cacheKey, sql, result, cacheGeneration);
+		}
+		deferred.resolve(options.withResult ? result : resultSet);
+		self._emitChanges(changes);
 	});
+	return deferred.promise;
 }
 
 /**
@@ -168,8 +314,10 @@ Database.prototype.query = function(sql, options) {
  * transaction (group of inserts, for instance)
  *
  * Notes:
- * - Not appropriate for SELECT or anything with returned rows
- * - The last inserted ID will NOT be set when using this method
+ * - Not appropriate for SELECT or anything with returned rows, unless you
+ *   use the collect option
+ * - The last inserted ID will NOT be set when using this method, unless
+ *   you use the collect option
  * - onSuccess and onError are only for the transaction! NOT individual queries
  *
  * Parameters:
@@ -178,18 +326,68 @@ Database.prototype.query = function(sql, options) {
  * - options (object):
  *    * onSuccess: function to execute on LAST QUERY success
  *    * onError: function to execute on TRANSACTION error
+ *    * collect (bool): if true, gather the outcome of every query and pass
+ *      the array to onSuccess once the transaction commits (instead of
+ *      calling it on the last query). Each entry has `rows` (array of
+ *      objects), `insertId`, `rowsAffected` and `sql`, in query order.
+ *      Handy for running a batch of reads atomically.
+ *
+ * Returns a promise that resolves with the last query's results once the
+ * transaction commits (or the collected array, with collect), or rejects
+ * with a DatabaseError naming the statement that failed
  */
 Database.prototype.queries = function(queries, options) {
+	return this._runQueries(queries, options, 'queries');
+}
+
+/**
+ * @protected
+ * Does the work for queries(); `method` is the public method to name in
+ * any DatabaseError (insertData, setSchema, etc.)
+ */
+Database.prototype._runQueries = function(queries, options, method) {
 	// Possible that the user closed the connection already, so double check
 	if (!this._db) {
 		this._db_lost();
 		return;
 	}
+	var deferred = this._deferred();
 	// Merge in user options (if any) to defaults
 	var options = (typeof options !== 'undefined' ? options : {});
-	options = this._getOptions(options);
+	options = this._getOptions(options, {"collect": false});
 	// Run the transaction
 	var DEBUG = this.debug;
+	var self = this;
+	var resultSet = [];
+	var collected = [];
+	var changes = [];
+	var failure = null;
+	// Creates the callback that notes any rows changed by a query
+	var tracker = function(sql) {
+		return function(transaction, results) {
+			self._trackChange(changes, self._getResultInfo(results, sql));
+		};
+	};
+	// Creates the callback that records the outcome of query number `index`
+	var collector = function(index, sql) {
+		return function(transaction, results) {
+			var info = self._getResultInfo(results, sql);
+			self._trackChange(changes, info);
+			info.rows = self._convertResultSet(results);
+			collected[index] = info;
+			if (info.insertId !== null) {
+				self._lastInsertRowId = info.insertId;
+			}
+		};
+	};
+	// Creates the callback that remembers which statement failed
+	var failer = function(sql, values) {
+		return function(transaction, error) {
+			failure = new DatabaseError(error, method, sql, values);
+			// Anything but false rolls back the transaction
+			return true;
+		};
+	};
 	this._db.transaction(function(transaction) {
 		// Loop over each query and execute it
 		var length = queries.length;
@@ -202,22 +400,388 @@ Database.prototype.queries = function(queries, options) {
 			// If query isn't a string, it's an object
 			if (typeof query === 'string') {
 				sql = query;
+				values = [];
 			} else {
 				sql = query.sql;
 				values = query.values;
 			}
-			if (debug) {
+			if (DEBUG) {
 				// Output query to the log for debugging
 				console.log(sql, " ==> ", values);
 			}
-			if (i === length - 1) {
+			if (options.collect) {
+				transaction.executeSql(sql, values, collector(i, sql), failer(sql, values));
+			} else if (i === length - 1) {
 				// Last call
-				transaction.executeSql(sql, values, options.onSuccess);
+				transaction.executeSql(sql, values, (function(track) {
+					return function(transaction, results) {
+						track(transaction, results);
+						resultSet = self._convertResultSet(results);
+						options.onSuccess(transaction, results);
+					};
+				})(tracker(sql)), failer(sql, values));
 			} else {
-				transaction.executeSql(sql, values);
+				transaction.executeSql(sql, values, tracker(sql), failer(sql, values));
+			}
+		}
+	}, function(error) {
+		if (failure === null) {
+			failure = new DatabaseError(error, method);
+		}
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		self._invalidateCache(changes);
+		if (options.collect) {
+			options.onSuccess(collected);
+			deferred.resolve(collected);
+		} else {
+			deferred.resolve(resultSet);
+		}
+		self._emitChanges(changes);
+	});
+	return deferred.promise;
+}
+
+
+/**
+ * Run several statements as a single transaction, with a handler for each
+ *
+ * The callback receives a DatabaseTransaction (documented below) and
+ * queues statements with tx.query(). Statements run in order; a statement
+ * queued from inside another statement's onSuccess runs after it, which
+ * is how later statements can use earlier results (such as an insert ID).
+ *
+ * The transaction commits once every statement has run. It rolls back if
+ * any statement fails (unless that statement's onError returns false) or
+ * if a handler throws.
+ *
+ * Parameters:
+ * - callback (function, required): receives the DatabaseTransaction
+ * - options (object):
+ *    * onSuccess (function): called once after the commit; receives an
+ *      array with the rows from each statement, in the order they ran
+ *    * onError (function): called once if the transaction rolls back
+ *
+ * Returns a promise that resolves with the same array as onSuccess
+ *
+ * USAGE:
+ * db.transaction(function(tx) {
+ *     tx.query(db.getInsert('folders', {name: 'Work'}), {
+ *         onSuccess: function(rows, result) {
+ *             tx.query(db.getInsert('notes', {folder_id: result.insertId}));
+ *         }
+ *     });
+ * });
+ */
+Database.prototype.transaction = function(callback, options) {
+	// Possible that the user closed the connection already, so double check
+	if (!this._db) {
+		this._db_lost();
+		return;
+	}
+	var options = this._getOptions(options);
+	var deferred = this._deferred();
+	var self = this;
+	var tx = null;
+	this._db.transaction(function(transaction) {
+		tx = new DatabaseTransaction(self, transaction);
+		callback(tx);
+	}, function(error) {
+		var failure = (tx !== null && tx._failed !== null ? tx._failed : new DatabaseError(error, 'transaction'));
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		self._invalidateCache(tx._changes);
+		options.onSuccess(tx.results);
+		deferred.resolve(tx.results);
+		self._emitChanges(tx._changes);
+	});
+	return deferred.promise;
+}
+
+
+/**
+ * Listen for an event; currently the only event is 'change'
+ *
+ * 'change' fires once a transaction that changed rows commits, for each
+ * table and operation, whether the write came from query, queries,
+ * insertData (and so setSchema), transaction, a model, or SQL built with
+ * the get* helpers. The handler receives an object with:
+ *
+ * - table (string): the table written to
+ * - operation (string): 'insert', 'update' or 'delete'
+ * - rowsAffected (int): total rows changed
+ * - ids (array or null): the inserted row IDs for inserts of single rows;
+ *   null when not every ID is known (updates, deletes, multi-row inserts)
+ *
+ * Only the statement's own table is reported, not rows changed by
+ * triggers or foreign key actions.
+ *
+ * Parameters:
+ * - event (string, required): 'change'
+ * - table (string): only report changes to this table; leave out to hear
+ *   about every table
+ * - handler (function, required)
+ *
+ * Returns the Database, for chaining
+ *
+ * USAGE:
+ * db.on('change', 'notes', function(change) {
+ *     if (change.operation === 'insert') { ... }
+ * });
+ */
+Database.prototype.on = function(event, table, handler) {
+	if (typeof table === 'function') {
+		handler = table;
+		table = null;
+	}
+	if (typeof this._listeners[event] === 'undefined') {
+		this._listeners[event] = [];
+	}
+	this._listeners[event].push({"table": table, "handler": handler});
+	return this;
+}
+
+/**
+ * Stop listening for an event; takes the same arguments as on()
+ */
+Database.prototype.off = function(event, table, handler) {
+	if (typeof table === 'function') {
+		handler = table;
+		table = null;
+	}
+	var listeners = this._listeners[event];
+	if (typeof listeners === 'undefined') {
+		return this;
+	}
+	for (var i = listeners.length - 1; i >= 0; i--) {
+		if (listeners[i].table === table && listeners[i].handler === handler) {
+			listeners.splice(i, 1);
+		}
+	}
+	return this;
+}
+
+
+/**
+ * Turns on caching of read results from query()
+ *
+ * While the cache is on, the rows from SELECT statements run through
+ * query() are kept, keyed by the SQL and its values, and the same query
+ * is answered from memory until it expires. Cached entries are dropped as
+ * soon as a write through this Database object (see the 'change' event)
+ * commits to any table the query mentions; CREATE, DROP and ALTER
+ * statements and version changes clear the whole cache. Introspection
+ * (getTables, getColumns, etc.) is never cached.
+ *
+ * Writes made elsewhere (another Database object, triggers, foreign key
+ * actions, or tables reached only through a view) are not noticed, so
+ * pick a TTL to match, and pass cache: false to query() for reads that
+ * must be fresh or that use functions like random().
+ *
+ * Parameters:
+ * - options (object):
+ *    * size (int): most entries to keep; the least recently used are
+ *      dropped first (default 100)
+ *    * ttl (int): milliseconds an entry stays valid; 0 means until it is
+ *      invalidated (default 60000)
+ *
+ * Returns the Database, for chaining
+ */
+Database.prototype.enableCache = function(options) {
+	var options = this._mixin({"size": 100, "ttl": 60000}, (typeof options === 'object' && options !== null ? options : {}));
+	this._cache = {"size": options.size, "ttl": options.ttl, "entries": {}, "keys": [], "generation": 0};
+	return this;
+}
+
+/**
+ * Turns off the read cache and drops its entries
+ */
+Database.prototype.disableCache = function() {
+	this._cache = null;
+	return this;
+}
+
+/**
+ * Drops every entry in the read cache
+ */
+Database.prototype.clearCache = function() {
+	if (this._cache !== null) {
+		this._cache.entries = {};
+		this._cache.keys = [];
+		this._cache.generation++;
+	}
+	return this;
+}
+
+
+// === Introspection methods ===
+
+/**
+ * List the user tables in the database
+ *
+ * Parameters:
+ * - options (object):
+ *    * onSuccess (function): receives an array of table names
+ *    * onError (function): called on error
+ *
+ * Returns a promise that resolves with the array of table names
+ */
+Database.prototype.getTables = function(options) {
+	var sql = "SELECT name FROM sqlite_master WHERE type = 'table' " +
+		"AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name NOT LIKE '\\_\\_WebKit%' ESCAPE '\\' ORDER BY name";
+	return this._queryAndConvert(sql, [], options, function(rows) {
+		var names = [];
+		for (var i = 0; i < rows.length; i++) {
+			names.push(rows[i].name);
+		}
+		return names;
+	});
+}
+
+/**
+ * Check whether a table exists
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - options (object):
+ *    * onSuccess (function): receives true or false
+ *    * onError (function): called on error
+ *
+ * Returns a promise that resolves with true or false
+ */
+Database.prototype.tableExists = function(tableName, options) {
+	var sql = "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?";
+	return this._queryAndConvert(sql, [tableName], options, function(rows) {
+		return (rows.length > 0);
+	});
+}
+
+/**
+ * Describe the columns of a table using PRAGMA table_info
+ *
+ * The columns use the same format as setSchema and getCreateTable, so a
+ * live table can be compared with its schema definition:
+ *
+ * [{"column": "rowID", "type": "INTEGER", "constraints": ["PRIMARY KEY"]}, ...]
+ *
+ * NOT NULL, DEFAULT and (single column) PRIMARY KEY constraints are
+ * reported; other constraints are not available through table_info.
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - options (object):
+ *    * onSuccess (function): receives the array of column objects
+ *    * onError (function): called on error
+ *
+ * Returns a promise that resolves with the array of column objects (empty
+ * if the table does not exist)
+ */
+Database.prototype.getColumns = function(tableName, options) {
+	var sql = 'PRAGMA table_info(' + this._quoteName(tableName) + ')';
+	return this._queryAndConvert(sql, [], options, function(rows) {
+		var length = rows.length;
+		var i, row, col;
+		// A composite primary key cannot be expressed as a column constraint
+		var pkCount = 0;
+		for (i = 0; i < length; i++) {
+			if (rows[i].pk) {
+				pkCount++;
+			}
+		}
+		var columns = [];
+		var constraints = null;
+		for (i = 0; i < length; i++) {
+			row = rows[i];
+			col = {"column": row.name, "type": row.type};
+			constraints = [];
+			if (row.pk && pkCount === 1) {
+				constraints.push('PRIMARY KEY');
+			}
+			if (row.notnull) {
+				constraints.push('NOT NULL');
 			}
+			if (row.dflt_value !== null && typeof row.dflt_value !== 'undefined') {
+				constraints.push('DEFAULT ' + row.dflt_value);
+			}
+			// Leave out empty constraints, just like a hand-written schema would
+			if (constraints.length > 0) {
+				col.constraints = constraints;
+			}
+			columns.push(col);
+		}
+		return columns;
+	});
+}
+
+/**
+ * Describe the indexes on a table
+ *
+ * Indexes that SQLite creates automatically for UNIQUE and PRIMARY KEY
+ * constraints are left out. Each index is an object:
+ *
+ * {"name": "notes_modified", "columns": ["modified"], "unique": false}
+ *
+ * Partial indexes also have a `where` string with their condition.
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - options (object):
+ *    * onSuccess (function): receives the array of index objects
+ *    * onError (function): called on error
+ *
+ * Returns a promise that resolves with the array of index objects
+ */
+Database.prototype.getIndexes = function(tableName, options) {
+	// Possible that the user closed the connection already, so double check
+	if (!this._db) {
+		this._db_lost();
+		return;
+	}
+	var options = this._getOptions(options);
+	var deferred = this._deferred();
+	var self = this;
+	var indexes = [];
+	var listSql = 'PRAGMA index_list(' + this._quoteName(tableName) + ')';
+	var masterSql = "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ?";
+	this._db.transaction(function(transaction) {
+		if (self.debug) {
+			console.log(listSql);
 		}
-	}, options.onError);
+		transaction.executeSql(listSql, [], function(transaction, results) {
+			var list = self._convertResultSet(results);
+			var byName = {};
+			var i;
+			for (i = 0; i < list.length; i++) {
+				if (list[i].name.indexOf('sqlite_autoindex_') === 0) {
+					continue;
+				}
+				byName[list[i].name] = {"name": list[i].name, "columns": [], "unique": !!list[i].unique};
+				indexes.push(byName[list[i].name]);
+				self._readIndexColumns(transaction, byName[list[i].name]);
+			}
+			// Partial index conditions are only available from the CREATE INDEX statement
+			transaction.executeSql(masterSql, [tableName], function(transaction, results) {
+				var rows = self._convertResultSet(results);
+				var match = null;
+				for (var j = 0; j < rows.length; j++) {
+					match = (rows[j].sql ? rows[j].sql.match(/\)\s+WHERE\s+([\s\S]+)$/i) : null);
+					if (match && byName.hasOwnProperty(rows[j].name)) {
+						byName[rows[j].name].where = match[1];
+					}
+				}
+			});
+		});
+	}, function(error) {
+		var failure = new DatabaseError(error, 'getIndexes', listSql);
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		options.onSuccess(indexes);
+		deferred.resolve(indexes);
+	});
+	return deferred.promise;
 }
 
 
@@ -235,9 +799,17 @@ Database.prototype.queries = function(queries, options) {
  * - options (object):
  *    * onSuccess (function): called after successful transactions
  *    * onError (function): called on error for transactions
+ *    * sync (bool): if true, compare tables that already exist with their
+ *      definitions and add any missing columns (see diffSchema)
+ *    * onDifferences (function): with sync, receives the array of
+ *      differences that were not applied (removed or retyped columns, etc.)
+ *    * onConflict, bulk: passed on to insertData for the data sections
  *
  * PLEASE NOTE: the onSuccess and onError functions may be called multiple
  * times if you are inserting data as well as defining a table schema.
+ *
+ * Returns a promise that resolves once the tables are created and any
+ * data is inserted
  * 
  * Schema Description
  * ==================
@@ -252,13 +824,37 @@ Database.prototype.queries = function(queries, options) {
  *             column (text, required; name of the column)
  *             type (text, required)
  *             constraints (array of strings)
+ *         constraints (array; table-level constraints) =>
+ *             string (used as-is, e.g. "UNIQUE (author, title)")
+ *             Object =>
+ *                 name (text; optional constraint name)
+ *                 primaryKey, unique (array of column names) or check (text)
+ *         foreignKeys (array) =>
+ *             columns (array of strings, required)
+ *             references (text or object, required; the referenced table
+ *                 name, or {"table": name, "columns": [...]})
+ *             onDelete, onUpdate (text; e.g. "CASCADE" or "SET NULL")
+ *         indexes (array) =>
+ *             name (text; defaults to table_column1_column2...)
+ *             columns (array of strings, required)
+ *             unique (bool)
+ *             where (text; condition for a partial index)
  *         data (array) =>
  *             Object (keys are the names of the columns)
+ *         onConflict (text; how data rows that already exist are handled,
+ *             see insertData)
  *     string (executed as a straight SQL query)
  *
  * Both columns and data are optionally; you can use setSchema to
  * define the table schema, populate with data, or both.
  *
+ * Indexes are created with IF NOT EXISTS, so it is safe to run the same
+ * schema every time the app launches.
+ *
+ * Foreign keys must reference tables defined in the same schema; setSchema
+ * reports an error without running anything otherwise. Remember that
+ * SQLite only enforces foreign keys when PRAGMA foreign_keys is on.
+ *
  * Obviously, it's better practice to populate with data only when you
  * need to, whereas you'll likely be defining tables every time you
  * instantiate the Database class.
@@ -284,6 +880,9 @@ Database.prototype.queries = function(queries, options) {
  *                 "type": "TEXT"
  *             }
  *         ],
+ *         "indexes": [
+ *             { "columns": ["title"] }
+ *         ],
  *         "data": [
  *             { "entry_id": "1", "title": "My first entry" },
  *             { "entry_id": "2", "title": "My second entry" }
@@ -299,7 +898,119 @@ Database.prototype.setSchema = function(schema, options) {
 	}
 	// Merge in user options (if any) to defaults
 	var options = (typeof options !== 'undefined' ? options : {});
-	options = this._getOptions(options);
+	options = this._getOptions(options, {"sync": false, "onDifferences": this._emptyFunction});
+	var problem = this._checkForeignKeys(schema);
+	if (problem !== null) {
+		var failed = this._deferred();
+		var error = new DatabaseError({"message": problem}, 'setSchema');
+		options.onError(error);
+		failed.reject(error);
+		return failed.promise;
+	}
+	if (!options.sync) {
+		return this._applySchema(schema, options, {});
+	}
+	// Work out what needs adding to the existing tables first
+	var deferred = this._deferred();
+	var self = this;
+	this.diffSchema(schema, {onError: options.onError}).then(function(diff) {
+		if (diff.differences.length > 0) {
+			options.onDifferences(diff.differences);
+		}
+		self._applySchema(schema, options, diff.alterations).then(deferred.resolve, deferred.reject);
+	}, deferred.reject);
+	return deferred.promise;
+}
+
+/**
+ * Compare a schema with the live database
+ *
+ * Only table objects with columns are compared, and only if the table
+ * already exists (setSchema creates missing tables as usual). Columns that
+ * are missing from a live table become ALTER TABLE ... ADD COLUMN
+ * statements. Anything that would need a destructive change is reported
+ * instead of applied.
+ *
+ * Parameters:
+ * - schema (object or array): same as setSchema
+ * - options (object):
+ *    * onSuccess (function): receives the result object (below)
+ *    * onError (function): called on error
+ *
+ * Returns a promise that resolves with an object:
+ * - alterations (object): table name => array of ALTER TABLE statements
+ * - differences (array): objects with `table`, `column`, `problem` and,
+ *   where relevant, `expected` and `actual`. Problems are:
+ *     * 'removed': the live column is not in the schema
+ *     * 'retyped': the live column has a different type
+ *     * 'cannot add': the column is missing, but SQLite cannot add it to
+ *       an existing table: it is PRIMARY KEY or UNIQUE, NOT NULL without a
+ *       default, or its DEFAULT is not a constant (CURRENT_TIMESTAMP,
+ *       CURRENT_DATE, CURRENT_TIME or an expression in parentheses)
+ */
+Database.prototype.diffSchema = function(schema, options) {
+	if (!this._isArray(schema)) {
+		schema = [schema];
+	}
+	var options = this._getOptions(options);
+	var deferred = this._deferred();
+	var result = {"alterations": {}, "differences": []};
+	var tables = [];
+	var i;
+	for (i = 0; i < schema.length; i++) {
+		if (typeof schema[i] !== 'string' && typeof schema[i].columns !== 'undefined') {
+			tables.push(schema[i]);
+		}
+	}
+	var pending = tables.length;
+	var failed = false;
+	var finish = function() {
+		options.onSuccess(result);
+		deferred.resolve(result);
+	};
+	if (pending === 0) {
+		finish();
+		return deferred.promise;
+	}
+	var self = this;
+	var compare = function(table) {
+		self.getColumns(table.table, {onError: self._emptyFunction}).then(function(live) {
+			if (failed) {
+				return;
+			}
+			// An empty list means the table doesn't exist yet
+			if (live.length > 0) {
+				self._diffColumns(table, live, result);
+			}
+			pending--;
+			if (pending === 0) {
+				finish();
+			}
+		}, function(error) {
+			if (!failed) {
+				failed = true;
+				options.onError(error);
+				deferred.reject(error);
+			}
+		});
+	};
+	for (i = 0; i < tables.length; i++) {
+		compare(tables[i]);
+	}
+	return deferred.promise;
+}
+
+/**
+ * @protected
+ * Creates the tables in a schema and inserts its data; see setSchema
+ *
+ * Parameters:
+ * - schema (array, required)
+ * - options (object, required): setSchema options, already merged
+ * - alterations (object, required): table name => extra statements to
+ *   run right after that table's CREATE TABLE
+ */
+Database.prototype._applySchema = function(schema, options, alterations) {
 	// Setup array to track table creation SQL
 	var tableQueries = [];
 	// Setup array to track data (just in case)
@@ -315,23 +1026,33 @@ Database.prototype.setSchema = function(schema, options) {
 		} else {
 			// Check for and save columns object
 			if (typeof table.columns !== 'undefined') {
-				tableQueries.push(this.getCreateTable(table.table, table.columns));
+				tableQueries.push(this.getCreateTable(table.table, table.columns, true, table));
+				if (alterations.hasOwnProperty(table.table)) {
+					tableQueries = tableQueries.concat(alterations[table.table]);
+				}
+			}
+			// Indexes come after any added columns they might rely on
+			if (typeof table.indexes !== 'undefined') {
+				tableQueries = tableQueries.concat(this._getCreateIndexes(table));
 			}
 			// Check for and save data array
 			if (typeof table.data !== 'undefined') {
-				data.push({"table": table.table, "data": table.data});
+				data.push(this._getDataSection(table));
 			}
 		}
 	}
 	if (data.length > 0) {
+		var deferred = this._deferred();
 		var dataInsertFollowup = this._bind(this, this.insertData, data, options);
-		// Execute the queries
-		this.queries(tableQueries, {
-			onSuccess: dataInsertFollowup,
+		// Execute the queries, and insert the data once the tables exist
+		this._runQueries(tableQueries, {
 			onError: options.onError
-		});
+		}, 'setSchema').then(function() {
+			dataInsertFollowup().then(deferred.resolve, deferred.reject);
+		}, deferred.reject);
+		return deferred.promise;
 	} else {
-		this.queries(tableQueries, options);
+		return this._runQueries(tableQueries, options, 'setSchema');
 	}
 }
 
@@ -344,7 +1065,7 @@ Database.prototype.setSchema = function(schema, options) {
  *     - options (object): same as setSchema options (above)
  */
 Database.prototype.setSchemaFromUrl = function(url, options) {
-	this._readUrl(url, this.bound.setSchema, options);
+	return this._readUrl(url, this.bound.setSchema, options, 'setSchemaFromUrl');
 }
 
 /**
@@ -355,12 +1076,31 @@ Database.prototype.setSchemaFromUrl = function(url, options) {
  *     * table (string, required): name of the table to insert into
  *     * data (array, required): array of objects whose keys are the column
  *       names to insert into
+ *     * onConflict (string): overrides options.onConflict for this table
+ *     * conflictColumns (array): the key columns used by 'update'
  * - options (object):
  *     * onSuccess (function): success callback
  *     * onError (function): error callback
+ *     * bulk (bool): if true, insert the rows with multi-row statements
+ *       from getInsertMany, which is much faster for large data sets
+ *     * onConflict (string): what to do when a row collides with an
+ *       existing PRIMARY KEY or UNIQUE value:
+ *         + 'fail' (default): the whole insert fails and rolls back
+ *         + 'ignore': keep the existing row
+ *         + 'replace': delete the existing row and insert the new one
+ *         + 'update': update the existing row with the new values; needs
+ *           conflictColumns. Rows missing any conflict column are only
+ *           inserted, since there is nothing to match them against
+ *     * conflictColumns (array): default key columns for 'update'
  *
  * The formatting is the same as for the schema, just without the columns.
  * Note that data can be a single object if only inserting into one table.
+ *
+ * Using 'ignore' or 'update' makes it safe to apply the same seed data
+ * every time your app launches. When data comes from setSchema, the
+ * conflict columns default to the table's primary key.
+ *
+ * Returns a promise that resolves once the insert transaction commits
  */
 Database.prototype.insertData = function(data, options) {
 	// Check to see if it's a single table
@@ -369,7 +1109,7 @@ Database.prototype.insertData = function(data, options) {
 	}
 	// Merge in user options (if any) to defaults
 	var options = (typeof options !== 'undefined' ? options : {});
-	options = this._getOptions(options);
+	options = this._getOptions(options, {"bulk": false, "onConflict": 'fail', "conflictColumns": null});
 	// Setup array to track queries
 	var dataQueries = [];
 	var length = data.length;
@@ -389,6 +1129,24 @@ Database.prototype.insertData = function(data, options) {
 			} else {
 				inserts = table.data;
 			}
+			var onConflict = (typeof table.onConflict !== 'undefined' ? table.onConflict : options.onConflict);
+			var conflictColumns = (typeof table.conflictColumns !== 'undefined' ? table.conflictColumns : options.conflictColumns);
+			var problem = this._checkConflict(tableName, onConflict, conflictColumns);
+			if (problem !== null) {
+				var failed = this._deferred();
+				var error = new DatabaseError({"message": problem}, 'insertData');
+				options.onError(error);
+				failed.reject(error);
+				return failed.promise;
+			}
+			if (onConflict !== 'fail') {
+				dataQueries = dataQueries.concat(this._getConflictInserts(tableName, inserts, onConflict, conflictColumns, options.bulk));
+				continue;
+			}
+			if (options.bulk) {
+				dataQueries = dataQueries.concat(this.getInsertMany(tableName, inserts));
+				continue;
+			}
 			// Nested loop to fetch the data inserts
 			insertsLength = inserts.length;
 			for (j = 0; j < insertsLength; j++) {
@@ -398,7 +1156,7 @@ Database.prototype.insertData = function(data, options) {
 		}
 	}
 	// Execute that sucker!
-	this.queries(dataQueries, options);
+	return this._runQueries(dataQueries, options, 'insertData');
 }
 
 /**
@@ -409,36 +1167,539 @@ Database.prototype.insertData = function(data, options) {
  * - options (object): same as insertData options (above)
  */
 Database.prototype.insertDataFromUrl = function(url, options) {
-	this._readUrl(url, this.bound.insertData, options);
+	return this._readUrl(url, this.bound.insertData, options, 'insertDataFromUrl');
 }
 
-
-// === VERSIONING METHODS ===
-
 /**
- * Change the version of the database; allows porting data when
- * upgrading schema
+ * Exports the contents of tables in the same format insertData accepts
  *
- * WARNING: you must have NO other database connections active when you
- * do this, and remember that afterward you will need to use the new
- * version in your `new Database()` calls.
- */
-Database.prototype.changeVersion = function(newVersion) {
-	// Backwards compatibility with previous incarnation which was changeVersion(from, to)
-	if (arguments.length > 1) {
+ * All tables are read in a single transaction, so the export is
+ * consistent. The result can be passed to JSON.stringify for a backup and
+ * restored later with insertData or insertDataFromUrl.
+ *
+ * Parameters:
+ * - options (object):
+ *     * tables (array): names of the tables to export; defaults to every
+ *       user table
+ *     * onSuccess (function): receives the exported data
+ *     * onError (function): error callback
+ * - callback (function): shortcut for options.onSuccess
+ *
+ * Returns a promise that resolves with the exported data:
+ *
+ * [{"table": "favorite_books", "data": [{"rowID": 0, ...}, ...]}, ...]
+ */
+Database.prototype.exportData = function(options, callback) {
+	var options = this._getOptions(options, {"tables": null});
+	if (typeof callback === 'function') {
+		options.onSuccess = callback;
+	}
+	var deferred = this._deferred();
+	var self = this;
+	this._getExportTables(options).then(function(tables) {
+		var selects = [];
+		for (var i = 0; i < tables.length; i++) {
+			selects.push(self.getSelect(tables[i], null));
+		}
+		self._runQueries(selects, {"collect": true, "onError": options.onError}, 'exportData').then(function(results) {
+			var exported = [];
+			for (var j = 0; j < tables.length; j++) {
+				exported.push({"table": tables[j], "data": results[j].rows});
+			}
+			options.onSuccess(exported);
+			deferred.resolve(exported);
+		}, deferred.reject);
+	}, deferred.reject);
+	return deferred.promise;
+}
+
+/**
+ * Exports the structure of tables in the same format setSchema accepts
+ *
+ * Each table gets its columns (see getColumns), its indexes (see
+ * getIndexes), its foreign keys and its table constraints. AUTOINCREMENT,
+ * UNIQUE, CHECK and COLLATE constraints are read from the CREATE TABLE
+ * statement, since the PRAGMAs do not report them. WITHOUT ROWID and
+ * generated columns are not included.
+ *
+ * Parameters:
+ * - options (object):
+ *     * tables (array): names of the tables to export; defaults to every
+ *       user table
+ *     * onSuccess (function): receives the exported schema
+ *     * onError (function): error callback
+ * - callback (function): shortcut for options.onSuccess
+ *
+ * Returns a promise that resolves with the exported schema
+ */
+Database.prototype.exportSchema = function(options, callback) {
+	var options = this._getOptions(options, {"tables": null});
+	if (typeof callback === 'function') {
+		options.onSuccess = callback;
+	}
+	var deferred = this._deferred();
+	var self = this;
+	var quiet = {"onError": this._emptyFunction, "cache": false};
+	var fail = function(error) {
+		options.onError(error);
+		deferred.reject(error);
+	};
+	this._getExportTables({"tables": options.tables, "onError": this._emptyFunction}).then(function(tables) {
+		var reads = [];
+		for (var i = 0; i < tables.length; i++) {
+			reads.push(self.getColumns(tables[i], quiet));
+			reads.push(self.getIndexes(tables[i], quiet));
+			reads.push(self.query('PRAGMA table_info(' + self._quoteName(tables[i]) + ')', quiet));
+			reads.push(self.query('PRAGMA foreign_key_list(' + self._quoteName(tables[i]) + ')', quiet));
+			reads.push(self.query("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", {"values": [tables[i]], "onError": self._emptyFunction, "cache": false}));
+		}
+		self._whenAll(reads).then(function(results) {
+			var schema = [];
+			var table, info, keys, extras, constraints, j, k;
+			for (j = 0; j < tables.length; j++) {
+				table = {"table": tables[j], "columns": results[j * 5]};
+				if (results[j * 5 + 1].length > 0) {
+					table.indexes = results[j * 5 + 1];
+				}
+				// getColumns leaves out composite primary keys; pk is the column's position in the key
+				info = results[j * 5 + 2];
+				keys = [];
+				for (k = 0; k < info.length; k++) {
+					if (info[k].pk) {
+						keys[info[k].pk - 1] = info[k].name;
+					}
+				}
+				constraints = (keys.length > 1 ? [{"primaryKey": keys}] : []);
+				extras = self._getCreateTableExtras(results[j * 5 + 4].length > 0 ? results[j * 5 + 4][0].sql : '');
+				for (k = 0; k < table.columns.length; k++) {
+					self._addColumnExtras(table.columns[k], extras.columns[table.columns[k].column.toLowerCase()]);
+				}
+				constraints = constraints.concat(extras.constraints);
+				if (constraints.length > 0) {
+					table.constraints = constraints;
+				}
+				if (results[j * 5 + 3].length > 0) {
+					table.foreignKeys = self._getForeignKeys(results[j * 5 + 3]);
+				}
+				schema.push(table);
+			}
+			options.onSuccess(schema);
+			deferred.resolve(schema);
+		}, fail);
+	}, fail);
+	return deferred.promise;
+}
+
+
+// === SQL dump methods ===
+
+/**
+ * Produces a text dump of the whole database, like the sqlite3 .dump
+ * command, for use with desktop SQLite tools
+ *
+ * The dump has the CREATE statement of every user table followed by an
+ * INSERT for each of its rows, then the indexes, views and triggers, all
+ * wrapped in BEGIN TRANSACTION/COMMIT. Everything is read in a single
+ * transaction. SQLite's own tables (including sqlite_sequence) and the
+ * WebKit info table are left out.
+ *
+ * Parameters:
+ * - options (object):
+ *     * onSuccess (function): receives the dump as a string
+ *     * onError (function): error callback
+ *
+ * Returns a promise that resolves with the dump
+ */
+Database.prototype.dumpSql = function(options) {
+	// Possible that the user closed the connection already, so double check
+	if (!this._db) {
+		this._db_lost();
+		return;
+	}
+	var options = this._getOptions(options);
+	var deferred = this._deferred();
+	var self = this;
+	var sql = "SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL " +
+		"AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name NOT LIKE '\\_\\_WebKit%' ESCAPE '\\' ORDER BY rowid";
+	var tables = [];
+	var others = [];
+	this._db.transaction(function(transaction) {
+		if (self.debug) {
+			console.log(sql);
+		}
+		transaction.executeSql(sql, [], function(transaction, results) {
+			var items = self._convertResultSet(results);
+			for (var i = 0; i < items.length; i++) {
+				if (items[i].type === 'table') {
+					tables.push({"name": items[i].name, "sql": items[i].sql, "inserts": []});
+					self._dumpRows(transaction, tables[tables.length - 1]);
+				} else {
+					others.push(items[i].sql + ';');
+				}
+			}
+		});
+	}, function(error) {
+		var failure = new DatabaseError(error, 'dumpSql', sql);
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		var lines = ['BEGIN TRANSACTION;'];
+		for (var i = 0; i < tables.length; i++) {
+			lines.push(tables[i].sql + ';');
+			lines = lines.concat(tables[i].inserts);
+		}
+		// Triggers come last so that they don't fire while the rows are restored
+		lines = lines.concat(others);
+		lines.push('COMMIT;');
+		var dump = lines.join('\n') + '\n';
+		options.onSuccess(dump);
+		deferred.resolve(dump);
+	});
+	return deferred.promise;
+}
+
+/**
+ * Runs an SQL dump (such as one from dumpSql or sqlite3 .dump) as a
+ * single transaction
+ *
+ * The text is split into statements (respecting quotes, comments and
+ * trigger bodies) and run through queries(). Transaction statements
+ * (BEGIN, COMMIT, etc.) are dropped since everything already runs in one
+ * transaction, as are PRAGMA statements, which WebKit does not allow.
+ *
+ * Parameters:
+ * - text (string, required): the SQL to run
+ * - options (object): same as queries()
+ *
+ * Returns the promise from queries()
+ */
+Database.prototype.importSql = function(text, options) {
+	var statements = this._splitSql(text);
+	var queries = [];
+	var skip = /^(BEGIN|COMMIT|END|ROLLBACK|SAVEPOINT|RELEASE|PRAGMA)\b/i;
+	for (var i = 0; i < statements.length; i++) {
+		if (!skip.test(statements[i])) {
+			queries.push(statements[i]);
+		}
+	}
+	return this._runQueries(queries, options, 'importSql');
+}
+
+
+// === CSV methods ===
+
+/**
+ * Imports rows from CSV text (such as a spreadsheet export) into a table
+ *
+ * Fields may be quoted with double quotes, in which case they can contain
+ * the delimiter, line breaks and doubled "" quotes. Values are converted
+ * using the type affinity of the table's columns: empty fields become NULL
+ * (except in TEXT columns) and numeric-looking fields in INTEGER, REAL and
+ * NUMERIC columns become numbers.
+ *
+ * The rows are inserted with insertData in chunks of options.chunkSize,
+ * each in its own transaction, so that very large files don't lock up the
+ * database. If a chunk fails, the chunks before it stay inserted.
+ *
+ * Parameters:
+ * - tableName (string, required): table to insert into; must exist
+ * - csvText (string, required)
+ * - options (object):
+ *     * onSuccess (function): receives the number of rows inserted
+ *     * onError (function): error callback
+ *     * onProgress (function): called after each chunk with the number of
+ *       rows inserted so far and the total
+ *     * header (bool): whether the first row holds column names (default
+ *       true); otherwise options.columns or the table's columns are used
+ *     * columns (array): column names for the fields, in order
+ *     * delimiter (string): field separator (default ',')
+ *     * chunkSize (int): rows per transaction (default 500)
+ *     * onConflict, conflictColumns, bulk: passed on to insertData
+ *
+ * Returns a promise that resolves with the number of rows inserted
+ */
+Database.prototype.importCsv = function(tableName, csvText, options) {
+	var options = this._getOptions(options, {
+		"onProgress": this._emptyFunction,
+		"header": true,
+		"columns": null,
+		"delimiter": ',',
+		"chunkSize": 500,
+		"onConflict": 'fail',
+		"conflictColumns": null,
+		"bulk": false
+	});
+	var deferred = this._deferred();
+	var self = this;
+	var fail = function(error) {
+		options.onError(error);
+		deferred.reject(error);
+	};
+	var records = this._parseCsv(csvText, options.delimiter);
+	this.getColumns(tableName, {"onError": options.onError}).then(function(tableColumns) {
+		if (tableColumns.length === 0) {
+			fail(new DatabaseError({"message": 'cannot import CSV into missing table "' + tableName + '"'}, 'importCsv'));
+			return;
+		}
+		var types = {};
+		var names = [];
+		for (var i = 0; i < tableColumns.length; i++) {
+			types[tableColumns[i].column] = self._getAffinity(tableColumns[i].type);
+			names.push(tableColumns[i].column);
+		}
+		if (options.header) {
+			names = records.shift() || [];
+		} else if (options.columns !== null) {
+			names = options.columns;
+		}
+		for (i = 0; i < names.length; i++) {
+			if (!types.hasOwnProperty(names[i])) {
+				fail(new DatabaseError({"message": 'CSV column "' + names[i] + '" does not exist in table "' + tableName + '"'}, 'importCsv'));
+				return;
+			}
+		}
+		// Convert the records into row objects for insertData
+		var rows = [];
+		var row, j;
+		for (i = 0; i < records.length; i++) {
+			row = {};
+			for (j = 0; j < names.length && j < records[i].length; j++) {
+				row[names[j]] = self._coerceValue(records[i][j], types[names[j]]);
+			}
+			rows.push(row);
+		}
+		var total = rows.length;
+		var inserted = 0;
+		var insertChunk = function() {
+			if (inserted >= total) {
+				options.onSuccess(total);
+				deferred.resolve(total);
+				return;
+			}
+			var chunk = rows.slice(inserted, inserted + options.chunkSize);
+			self.insertData({"table": tableName, "data": chunk}, {
+				"onError": options.onError,
+				"onConflict": options.onConflict,
+				"conflictColumns": options.conflictColumns,
+				"bulk": options.bulk
+			}).then(function() {
+				inserted += chunk.length;
+				options.onProgress(inserted, total);
+				insertChunk();
+			}, deferred.reject);
+		};
+		insertChunk();
+	}, deferred.reject);
+	return deferred.promise;
+}
+
+/**
+ * Exports a table or query as CSV text, with a header row of column names
+ *
+ * The rows are read options.chunkSize at a time, one page after another
+ * in a single transaction, so the export is consistent and keeps the
+ * order of the source query without loading every row at once. For large
+ * tables, pass an onChunk function: each page of CSV text is handed to it
+ * as soon as it is read rather than being gathered into one big string.
+ *
+ * Fields are quoted when they contain the delimiter, quotes or line
+ * breaks; NULL becomes an empty field. Lines end with \r\n.
+ *
+ * Parameters:
+ * - source (string or DatabaseQuery, required): a table name, or a query
+ *   such as one from getSelect or table().toQuery()
+ * - options (object):
+ *     * onSuccess (function): receives the CSV text, or the number of
+ *       rows when using onChunk
+ *     * onError (function): error callback
+ *     * onChunk (function): receives each chunk of CSV text in order (the
+ *       first one starts with the header)
+ *     * header (bool): whether to output the header row (default true)
+ *     * columns (array): columns to export when source is a table name
+ *     * delimiter (string): field separator (default ',')
+ *     * chunkSize (int): rows per page and onChunk call (default 500)
+ *
+ * Returns a promise that resolves with the same value as onSuccess
+ */
+Database.prototype.exportCsv = function(source, options) {
+	var options = this._getOptions(options, {
+		"onChunk": null,
+		"header": true,
+		"columns": null,
+		"delimiter": ',',
+		"chunkSize": 500
+	});
+	// Possible that the user closed the connection already, so double check
+	if (!this._db) {
+		this._db_lost();
+		return;
+	}
+	var deferred = this._deferred();
+	var self = this;
+	var base = (typeof source === 'string' ? this.getSelect(source, options.columns) : source);
+	// A trailing semicolon would end the statement inside the paging subquery
+	var sql = base.sql.replace(/[\s;]+$/, '');
+	var values = (base.values ? base.values : []);
+	var pageSql = 'SELECT * FROM (' + sql + ') LIMIT ? OFFSET ?';
+	var chunks = [];
+	var count = 0;
+	var names = null;
+	var failure = null;
+	var emit = function(text) {
+		if (options.onChunk) {
+			options.onChunk(text);
+		} else {
+			chunks.push(text);
+		}
+	};
+	// Formats a page of rows as CSV lines
+	var format = function(rows) {
+		var lines = [];
+		var i, j, row, fields;
+		for (i = 0; i < rows.length; i++) {
+			row = rows.item(i);
+			fields = [];
+			for (j = 0; j < names.length; j++) {
+				fields.push(row[names[j]]);
+			}
+			lines.push(self._toCsvLine(fields, options.delimiter));
+		}
+		return lines.join('');
+	};
+	this._db.transaction(function(transaction) {
+		// Reads the page starting at offset, then queues up the next one
+		var readPage = function(offset) {
+			var pageValues = values.concat([options.chunkSize, offset]);
+			if (self.debug) {
+				console.log(pageSql, ' ==> ', pageValues);
+			}
+			transaction.executeSql(pageSql, pageValues, function(transaction, results) {
+				var length = results.rows.length;
+				var text = '';
+				if (names === null) {
+					names = (length > 0 ? self._getKeys(results.rows.item(0)) : (options.columns !== null ? options.columns : []));
+					text = (options.header && names.length > 0 ? self._toCsvLine(names, options.delimiter) : '');
+				}
+				text += format(results.rows);
+				// With no rows there is still the header to output
+				if (text !== '') {
+					emit(text);
+				}
+				count += length;
+				if (length === options.chunkSize) {
+					readPage(offset + length);
+				}
+			}, function(transaction, error) {
+				failure = new DatabaseError(error, 'exportCsv', pageSql, pageValues);
+				// Anything but false rolls back the transaction
+				return true;
+			});
+		};
+		readPage(0);
+	}, function(error) {
+		if (failure === null) {
+			failure = new DatabaseError(error, 'exportCsv', sql, values);
+		}
+		deferred.reject(failure);
+		options.onError(failure);
+	}, function() {
+		var result = (options.onChunk ? count : chunks.join(''));
+		options.onSuccess(result);
+		deferred.resolve(result);
+	});
+	return deferred.promise;
+}
+
+
+// === Model methods ===
+
+/**
+ * Defines a model class for a table, so that rows can be loaded and saved
+ * as objects instead of through hand-built queries
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - definition (object, required): the table's setSchema definition; its
+ *   columns are used for saving and type casting, and its primary key for
+ *   find, save and remove. It can also have:
+ *     * defaults (object): values for columns that new objects leave out;
+ *       functions are called each time for a fresh value
+ *     * primaryKey (string or array): overrides the schema's primary key
+ *
+ * When rows are read, BOOLEAN columns become true/false, DATE/TIME
+ * columns become Date objects and INTEGER/REAL/NUMERIC columns become
+ * numbers. When saving, booleans are stored as 1/0 and Dates as ISO 8601
+ * strings.
+ *
+ * Returns the model class (see DatabaseModel)
+ *
+ * USAGE:
+ * var Book = db.defineModel('favorite_books', schema[0]);
+ * var book = new Book({author: 'Ursula K. Le Guin', title: 'The Dispossessed'});
+ * book.save().then(function() {
+ *     return Book.findAll({author: {$like: 'Ursula%'}}, {orderBy: 'title'});
+ * });
+ */
+Database.prototype.defineModel = function(tableName, definition) {
+	var Model = function(data) {
+		DatabaseModel.call(this, data);
+	};
+	// Inherit the instance methods without running the DatabaseModel constructor
+	var Prototype = function() {};
+	Prototype.prototype = DatabaseModel.prototype;
+	Model.prototype = new Prototype();
+	Model.prototype.constructor = Model;
+	this._mixin(Model, DatabaseModel.statics);
+	
+	Model.db = this;
+	Model.tableName = tableName;
+	Model.columns = {};
+	Model.columnNames = [];
+	var columns = (typeof definition.columns !== 'undefined' ? definition.columns : []);
+	for (var i = 0; i < columns.length; i++) {
+		Model.columns[columns[i].column] = (columns[i].type ? columns[i].type : '');
+		Model.columnNames.push(columns[i].column);
+	}
+	Model.primaryKey = (typeof definition.primaryKey !== 'undefined' ? this._toList(definition.primaryKey) : this._getPrimaryKey(definition));
+	Model.defaults = (typeof definition.defaults !== 'undefined' ? definition.defaults : {});
+	Model.relations = {};
+	this._models[tableName] = Model;
+	return Model;
+}
+
+
+// === VERSIONING METHODS ===
+
+/**
+ * Change the version of the database; allows porting data when
+ * upgrading schema
+ *
+ * WARNING: you must have NO other database connections active when you
+ * do this, and remember that afterward you will need to use the new
+ * version in your `new Database()` calls.
+ *
+ * Returns a promise that resolves with the new version once it is set
+ */
+Database.prototype.changeVersion = function(newVersion) {
+	// Backwards compatibility with previous incarnation which was changeVersion(from, to)
+	if (arguments.length > 1) {
 		newVersion = arguments[1];
 	}
+	var deferred = this._deferred();
 	var self = this;
-	this._db.changeVersion(this._dbVersion, newVersion, function() {}, function() {
+	this._db.changeVersion(this._dbVersion, newVersion, function() {}, function(error) {
 		if (self.debug) {
 			console.log("DATABASE VERSION UPDATE FAILED: " + newVersion);
 		}
+		deferred.reject(new DatabaseError(error, 'changeVersion'));
 	}, function() {
 		if (self.debug) {
 			console.log("DATABASE VERSION UPDATE SUCCESS: " + newVersion);
 		}
+		deferred.resolve(newVersion);
 	});
 	this._dbVersion = newVersion;
+	return deferred.promise;
 }
 
 /**
@@ -453,44 +1714,94 @@ Database.prototype.changeVersion = function(newVersion) {
  * - schema (object or string): same as setSchema (documented above),
  *   minus any data insertion support
  * - options (object): same as setSchema options
+ *
+ * Foreign keys must reference a table in the schema or one that already
+ * exists; otherwise the version is left alone and the promise rejects.
+ *
+ * Returns a promise that resolves with the new version once it is set
  */
 Database.prototype.changeVersionWithSchema = function(newVersion, schema, options) {
 	// Check to see if it's a single table, make array for convenience
 	if (!this._isArray(schema)) {
 		schema = [schema];
 	}
+	var deferred = this._deferred();
 	// Merge in user options (if any) to defaults
 	var options = (typeof options !== 'undefined' ? options : {});
 	options = this._getOptions(options);
+	var self = this;
+	var fail = function(error) {
+		options.onError(error);
+		deferred.reject(error);
+	};
+	var failure = null;
+	// Creates the callback that remembers which statement failed
+	var failer = function(sql, values) {
+		return function(transaction, error) {
+			failure = new DatabaseError(error, 'changeVersionWithSchema', sql, values);
+			// Anything but false rolls back the transaction
+			return true;
+		};
+	};
 	
 	// Run the changeVersion update!
-	this._db.changeVersion(this._dbVersion, newVersion, this._bind(this, function(transaction) {
-		// Loop over the items in the schema
-		var length = schema.length;
-		var item = null, query = null, sql = null, values = null;
-		for (var i = 0; i < length; i++) {
-			item = schema[i];
-			// Check to see if we have an SQL string or table definition
-			if (typeof item === 'string') {
-				query = item;
-			} else if (typeof item.columns !== 'undefined') {
-				query = this.getCreateTable(item.table, item.columns);
+	var update = this._bind(this, function() {
+		this._db.changeVersion(this._dbVersion, newVersion, this._bind(this, function(transaction) {
+			// Loop over the items in the schema, collecting their queries
+			var length = schema.length;
+			var item = null, queries = [], query = null, sql = null, values = null;
+			var i;
+			for (i = 0; i < length; i++) {
+				item = schema[i];
+				// Check to see if we have an SQL string or table definition
+				if (typeof item === 'string') {
+					queries.push(item);
+				} else {
+					if (typeof item.columns !== 'undefined') {
+						queries.push(this.getCreateTable(item.table, item.columns, true, item));
+					}
+					if (typeof item.indexes !== 'undefined') {
+						queries = queries.concat(this._getCreateIndexes(item));
+					}
+				}
 			}
-			
-			// Run the query
-			sql = (typeof query === 'string' ? query : query.sql);
-			values = (typeof query.values !== 'undefined' ? query.values : null);
-			if (this.debug) {
-				// Output the query to the log for debugging
-				console.log(sql, ' ==> ', values);
-			}
-			if (values !== null) {
-				transaction.executeSql(sql, values);
+			length = queries.length;
+			for (i = 0; i < length; i++) {
+				query = queries[i];
+				// Run the query
+				sql = (typeof query === 'string' ? query : query.sql);
+				values = (typeof query.values !== 'undefined' ? query.values : null);
+				if (this.debug) {
+					// Output the query to the log for debugging
+					console.log(sql, ' ==> ', values);
+				}
+				transaction.executeSql(sql, (values !== null ? values : []), null, failer(sql, values));
+			}
+		}), function(error) {
+			if (failure === null) {
+				failure = new DatabaseError(error, 'changeVersionWithSchema');
+			}
+			deferred.reject(failure);
+			options.onError(failure);
+		}, function() {
+			self._versionChanged(newVersion, options.onSuccess);
+			deferred.resolve(newVersion);
+		});
+	});
+	// Foreign keys may also reference tables created by earlier versions
+	if (this._checkForeignKeys(schema) === null) {
+		update();
+	} else {
+		this.getTables({"onError": this._emptyFunction}).then(function(tables) {
+			var problem = self._checkForeignKeys(schema, tables);
+			if (problem !== null) {
+				fail(new DatabaseError({"message": problem}, 'changeVersionWithSchema'));
 			} else {
-				transaction.executeSql(sql);
+				update();
 			}
-		}
-	}), options.onError, this._bind(this, this._versionChanged, newVersion, options.onSuccess));
+		}, fail);
+	}
+	return deferred.promise;
 }
 
 /**
@@ -498,7 +1809,85 @@ Database.prototype.changeVersionWithSchema = function(newVersion, schema, option
  * specified in the schema JSON file located at `url`
  */
 Database.prototype.changeVersionWithSchemaFromUrl = function(newVersion, url, options) {
-	this._readUrl(url, this._bind(this, this.changeVersionWithSchema, newVersion));
+	return this._readUrl(url, this._bind(this, this.changeVersionWithSchema, newVersion), options, 'changeVersionWithSchemaFromUrl');
+}
+
+/**
+ * Upgrade the database through a series of numbered migrations
+ *
+ * Works out the chain of migrations that leads from the current version
+ * to the target version, then runs each step with changeVersionWithSchema
+ * so that every step is its own changeVersion transaction. If a step
+ * fails, the database stays at the version of the last successful step.
+ *
+ * Parameters:
+ * - migrations (array, required): objects with the following keys
+ *     * from (string): version the step upgrades from
+ *     * to (string): version the step upgrades to
+ *     * schema (object or string): same as changeVersionWithSchema
+ * - options (object):
+ *     * version (string): target version; defaults to the `to` of the last
+ *       migration in the list
+ *     * onProgress (function): called after each successful step with
+ *       {from, to, step, steps} (step is 1-based)
+ *     * onSuccess (function): called with the final version
+ *     * onError (function): called with the same error the promise
+ *       rejects with; its `migration` property holds the failed step
+ *
+ * Returns a promise that resolves with the final version
+ *
+ * USAGE:
+ * db.migrate([
+ *     {from: '1', to: '2', schema: ['ALTER TABLE notes ADD COLUMN color TEXT']},
+ *     {from: '2', to: '3', schema: [{table: 'tags', columns: [...]}]}
+ * ], {onProgress: function(info) {}});
+ */
+Database.prototype.migrate = function(migrations, options) {
+	var options = (typeof options !== 'undefined' ? options : {});
+	options = this._getOptions(options, {"onProgress": this._emptyFunction});
+	var deferred = this._deferred();
+	var fail = function(error) {
+		options.onError(error);
+		deferred.reject(error);
+	};
+	var current = String(this.getVersion());
+	var target = (typeof options.version !== 'undefined' ? String(options.version) : null);
+	if (target === null && migrations.length > 0) {
+		target = String(migrations[migrations.length - 1].to);
+	}
+	if (target === null || target === current) {
+		options.onSuccess(current);
+		deferred.resolve(current);
+		return deferred.promise;
+	}
+	var path = this._getMigrationPath(migrations, current, target);
+	if (path === null) {
+		fail(new DatabaseError({"code": DatabaseError.codes.VERSION, "message": 'no migration path from version `' + current + '` to `' + target + '`'}, 'migrate'));
+		return deferred.promise;
+	}
+	// Run the steps one after another
+	var self = this;
+	var total = path.length;
+	var runStep = function(index) {
+		if (index >= total) {
+			options.onSuccess(target);
+			deferred.resolve(target);
+			return;
+		}
+		var step = path[index];
+		var schema = (typeof step.schema !== 'undefined' ? step.schema : []);
+		self.changeVersionWithSchema(String(step.to), schema, {
+			onError: self._emptyFunction
+		}).then(function() {
+			options.onProgress({'from': String(step.from), 'to': String(step.to), 'step': index + 1, 'steps': total});
+			runStep(index + 1);
+		}, function(error) {
+			error.migration = step;
+			fail(error);
+		});
+	};
+	runStep(0);
+	return deferred.promise;
 }
 
 
@@ -541,21 +1930,160 @@ Database.prototype.getInsert = function(tableName, data) {
 }
 
 /**
- * SQL for a very simple select
+ * SQL to insert a record, or update it if it already exists
+ *
+ * Without conflictColumns this uses INSERT OR REPLACE, which deletes the
+ * existing row and inserts a new one (so columns you leave out are reset).
+ * With conflictColumns it uses ON CONFLICT (...) DO UPDATE, which only
+ * changes the columns you pass; this needs SQLite 3.24 or newer.
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - data (object, required): same as getInsert
+ * - conflictColumns (string or array): columns of the PRIMARY KEY or
+ *   UNIQUE constraint that identifies an existing row
+ *
+ * Returns DatabaseQuery object
+ */
+Database.prototype.getUpsert = function(tableName, data, conflictColumns) {
+	var query = this.getInsert(tableName, data);
+	if (typeof conflictColumns === 'undefined' || conflictColumns === null) {
+		query.sql = query.sql.replace(/^INSERT INTO/, 'INSERT OR REPLACE INTO');
+		return query;
+	}
+	conflictColumns = this._toList(conflictColumns);
+	var isConflictColumn = {};
+	var i;
+	for (i = 0; i < conflictColumns.length; i++) {
+		isConflictColumn[conflictColumns[i]] = true;
+	}
+	// Every other column takes the value that was being inserted
+	var updates = [];
+	for (var key in data) {
+		if (!isConflictColumn.hasOwnProperty(key)) {
+			updates.push(key + ' = excluded.' + key);
+		}
+	}
+	query.sql += ' ON CONFLICT (' + conflictColumns.join(', ') + ') DO ' + (updates.length > 0 ? 'UPDATE SET ' + updates.join(', ') : 'NOTHING');
+	return query;
+}
+
+/**
+ * SQL to insert many records with as few statements as possible
+ *
+ * Rows are inserted with multi-row VALUES lists (SQLite 3.7.11 or newer).
+ * Each statement stays within SQLite's limit on '?' placeholders and holds
+ * at most 500 rows, since SQLite before 3.8.8 counts every row of a VALUES
+ * list against SQLITE_LIMIT_COMPOUND_SELECT. A new statement is also
+ * started whenever the columns change from one row to the next so that
+ * missing columns keep their defaults. Rows are inserted in order.
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - rows (array, required): objects in the same format as getInsert
+ * - maxVariables (int): placeholders allowed per statement; defaults to
+ *   999, SQLite's default SQLITE_MAX_VARIABLE_NUMBER
+ *
+ * Returns array of DatabaseQuery objects
+ */
+Database.prototype.getInsertMany = function(tableName, rows, maxVariables) {
+	var maxVariables = (typeof maxVariables !== 'undefined' && maxVariables !== null ? maxVariables : 999);
+	var queries = [];
+	var columns = null, signature = null, rowSignature = null;
+	var placeholders = [], values = [];
+	var perStatement = 0, count = 0;
+	var i, j, key, rowColumns, rowPlaceholders;
+	var length = rows.length;
+	var flush = function() {
+		if (count > 0) {
+			queries.push(new DatabaseQuery({
+				'sql': 'INSERT INTO ' + tableName + ' (' + columns.join(', ') + ') VALUES ' + placeholders.join(', '),
+				'values': values
+			}));
+		}
+		placeholders = [];
+		values = [];
+		count = 0;
+	};
+	for (i = 0; i < length; i++) {
+		rowColumns = [];
+		for (key in rows[i]) {
+			rowColumns.push(key);
+		}
+		rowSignature = rowColumns.join(',');
+		if (rowSignature !== signature || count >= perStatement) {
+			flush();
+			columns = rowColumns;
+			signature = rowSignature;
+			perStatement = Math.min(500, Math.max(1, Math.floor(maxVariables / Math.max(1, columns.length))));
+		}
+		rowPlaceholders = [];
+		for (j = 0; j < columns.length; j++) {
+			rowPlaceholders.push('?');
+			values.push(rows[i][columns[j]]);
+		}
+		placeholders.push('(' + rowPlaceholders.join(', ') + ')');
+		count++;
+	}
+	flush();
+	return queries;
+}
+
+/**
+ * SQL for a select
  *
  * Parameters:
  * - tableName (string, required)
  * - columns (string, array, or null): names of the columns to return
- * - where (object): {key: value} is equated to column: value
+ * - where (object): {key: value} is equated to column: value; see below
+ *   for operators
+ * - options (object):
+ *     * distinct (bool): select only distinct rows
+ *     * groupBy (string or array): column(s) to group by
+ *     * having (object): where object applied to the groups; keys may be
+ *       aggregate expressions, e.g. {'COUNT(*)': {$gt: 1}}
+ *     * orderBy (string, array, or object): 'column', 'column DESC', an
+ *       array of those, or {column: 'asc', other: 'desc'}
+ *     * limit (int): maximum number of rows to return
+ *     * offset (int): number of rows to skip
  *
  * Returns DatabaseQuery object
+ *
+ * Where operators
+ * ===============
+ *
+ * Instead of a plain value, a column can be given an operator object.
+ * Multiple operators on one column are joined with AND:
+ *
+ * - $eq, $ne: equal/not equal (null becomes IS NULL/IS NOT NULL)
+ * - $gt, $gte, $lt, $lte: comparisons
+ * - $like, $notLike: LIKE patterns
+ * - $in, $notIn (array): value in/not in the list
+ * - $between (array): [low, high], inclusive
+ * - $isNull (bool): true for IS NULL, false for IS NOT NULL
+ *
+ * Conditions can also be grouped with $or and $and, which take an array of
+ * where objects (or a single object whose keys are split into a group):
+ *
+ * {
+ *     age: {$gte: 18, $lt: 65},
+ *     $or: [{name: {$like: 'A%'}}, {nickname: {$isNull: false}}]
+ * }
+ *
+ * Every value is passed as a '?' placeholder.
  */
-Database.prototype.getSelect = function(tableName, columns, where) {
+Database.prototype.getSelect = function(tableName, columns, where, options) {
+	var options = (typeof options !== 'undefined' && options !== null ? options : {});
 	var sql = 'SELECT ';
+	if (options.distinct) {
+		sql += 'DISTINCT ';
+	}
 	// Setup our targeted columns
 	var colStr = '';
-	if (columns === null || columns === '') {
+	if (typeof columns === 'undefined' || columns === null || columns === '') {
 		colStr = '*';
+	} else if (typeof columns === 'string') {
+		colStr = columns;
 	} else if (this._isArray(columns)) {
 		// Cut down on memory needs with a straight for loop
 		var length = columns.length;
@@ -567,18 +2095,36 @@ Database.prototype.getSelect = function(tableName, columns, where) {
 		colStr = colStr.join(', ');
 	}
 	sql += colStr + ' FROM ' + tableName;
+	var sqlValues = [];
 	// Parse the WHERE object if we have one
-	if (typeof where !== 'undefined') {
-		sql += ' WHERE ';
-		var sqlValues = [];
-		var whereStrings = [];
-		// Loop over the where object to populate
-		for (var key in where) {
-			sqlValues.push(where[key]);
-			whereStrings.push(key + ' = ?');
-		}
-		// Add the WHERE strings to the sql
-		sql += whereStrings.join(' AND ');
+	if (typeof where !== 'undefined' && where !== null) {
+		var whereClause = this._getWhere(where);
+		if (whereClause.sql !== '') {
+			sql += ' WHERE ' + whereClause.sql;
+			sqlValues = whereClause.values;
+		}
+	}
+	if (typeof options.groupBy !== 'undefined' && options.groupBy !== null) {
+		sql += ' GROUP BY ' + (this._isArray(options.groupBy) ? options.groupBy.join(', ') : options.groupBy);
+		if (typeof options.having !== 'undefined' && options.having !== null) {
+			var havingClause = this._getWhere(options.having);
+			if (havingClause.sql !== '') {
+				sql += ' HAVING ' + havingClause.sql;
+				sqlValues = sqlValues.concat(havingClause.values);
+			}
+		}
+	}
+	if (typeof options.orderBy !== 'undefined' && options.orderBy !== null) {
+		sql += ' ORDER BY ' + this._getOrderBy(options.orderBy);
+	}
+	// SQLite only understands OFFSET as part of a LIMIT clause; -1 means no limit
+	if (typeof options.limit !== 'undefined' || typeof options.offset !== 'undefined') {
+		sql += ' LIMIT ?';
+		sqlValues.push(typeof options.limit !== 'undefined' && options.limit !== null ? options.limit : -1);
+		if (typeof options.offset !== 'undefined' && options.offset !== null) {
+			sql += ' OFFSET ?';
+			sqlValues.push(options.offset);
+		}
 	}
 	return new DatabaseQuery({'sql': sql, 'values': sqlValues});
 }
@@ -591,7 +2137,8 @@ Database.prototype.getSelect = function(tableName, columns, where) {
  * - data (object, required):
  *     * key: value pairs to be updated as column: value (same format as
  *       data objects in schema)
- * - where (object): key: value translated to 'column = value'
+ * - where (object): key: value translated to 'column = value'; supports
+ *   the same operators as getSelect
  *
  * Returns DatabaseQuery object
  */
@@ -607,15 +2154,9 @@ Database.prototype.getUpdate = function(tableName, data, where) {
 	// Collapse sqlStrings into SQL
 	sql += sqlStrings.join(', ');
 	// Parse the WHERE object
-	sql += ' WHERE ';
-	var whereStrings = [];
-	// Loop over the where object to populate
-	for (var key in where) {
-		whereStrings.push(key + ' = ?');
-		sqlValues.push(where[key]);
-	}
-	// Add the WHERE strings to the sql
-	sql += whereStrings.join(' AND ');
+	var whereClause = this._getWhere(where);
+	sql += ' WHERE ' + whereClause.sql;
+	sqlValues = sqlValues.concat(whereClause.values);
 	return new DatabaseQuery({'sql': sql, 'values': sqlValues});
 }
 
@@ -624,22 +2165,16 @@ Database.prototype.getUpdate = function(tableName, data, where) {
  *
  * Parameters:
  * - tableName (string, required)
- * - where (object, required): key: value mapped to 'column = value'
+ * - where (object, required): key: value mapped to 'column = value';
+ *   supports the same operators as getSelect
  *
  * Returns DatabaseQuery object
  */
 Database.prototype.getDelete = function(tableName, where) {
 	var sql = 'DELETE FROM ' + tableName + ' WHERE ';
-	var sqlValues = [];
-	var whereStrings = [];
-	// Loop over the where object to populate
-	for (var key in where) {
-		whereStrings.push(key + ' = ?');
-		sqlValues.push(where[key]);
-	}
-	// Add the WHERE strings to the sql
-	sql += whereStrings.join(' AND ');
-	return new DatabaseQuery({'sql': sql, 'values': sqlValues});
+	var whereClause = this._getWhere(where);
+	sql += whereClause.sql;
+	return new DatabaseQuery({'sql': sql, 'values': whereClause.values});
 }
 
 /**
@@ -649,11 +2184,13 @@ Database.prototype.getDelete = function(tableName, where) {
  * - tableName (string, required)
  * - columns (array, required): uses syntax from setSchema (see above)
  * - ifNotExists (bool, defaults to true)
+ * - table (object): table object with `constraints` and/or `foreignKeys`
+ *   (see setSchema), added after the columns
  *
  * Returns string, since value substitution isn't supported for this
  * statement in SQLite
  */
-Database.prototype.getCreateTable = function(tableName, columns, ifNotExists) {
+Database.prototype.getCreateTable = function(tableName, columns, ifNotExists, table) {
 	var ifNotExists = (typeof ifNotExists !== 'undefined' ? ifNotExists : true);
 	// Setup the basic SQL
 	var sql = 'CREATE TABLE ';
@@ -663,32 +2200,92 @@ Database.prototype.getCreateTable = function(tableName, columns, ifNotExists) {
 	sql += tableName + ' (';
 	// Add the column definitions to the SQL
 	var length = columns.length;
-	var col = null;
 	var colStr = [];
-	var colDef = '';
 	for (var i = 0; i < length; i++) {
-		col = columns[i];
-		// Construct the string for the column definition
-		colDef = col.column + ' ' + col.type;
-		if (col.constraints) {
-			colDef += ' ' + col.constraints.join(' ');
-		}
-		// Add to SQL
-		colStr.push(colDef);
+		colStr.push(this._getColumnDefinition(columns[i]));
+	}
+	// Table constraints have to follow all of the column definitions
+	if (typeof table !== 'undefined' && table !== null) {
+		colStr = colStr.concat(this._getTableConstraints(table));
 	}
 	sql += colStr.join(', ') + ')';
 	return sql;
 }
 
 /**
- * SQL for dropping a table
+ * SQL to create an index
  *
- * Returns string
- */
-Database.prototype.getDropTable = function(tableName) {
+ * Parameters:
+ * - tableName (string, required)
+ * - index (object, required): uses syntax from setSchema (see above)
+ *     * name (string): defaults to table_column1_column2...
+ *     * columns (array, required): column names, optionally followed by
+ *       ASC or DESC
+ *     * unique (bool)
+ *     * where (string): condition for a partial index
+ * - ifNotExists (bool, defaults to true)
+ *
+ * Returns string, since value substitution isn't supported for this
+ * statement in SQLite
+ */
+Database.prototype.getCreateIndex = function(tableName, index, ifNotExists) {
+	var ifNotExists = (typeof ifNotExists !== 'undefined' ? ifNotExists : true);
+	var columns = this._toList(index.columns);
+	var name = index.name;
+	if (typeof name === 'undefined' || name === null || name === '') {
+		// Strip sort directions from the column names for the default name
+		var parts = [tableName];
+		for (var i = 0; i < columns.length; i++) {
+			parts.push(columns[i].split(/\s+/)[0]);
+		}
+		name = parts.join('_');
+	}
+	var sql = 'CREATE ' + (index.unique ? 'UNIQUE ' : '') + 'INDEX ';
+	if (ifNotExists) {
+		sql += 'IF NOT EXISTS ';
+	}
+	sql += name + ' ON ' + tableName + ' (' + columns.join(', ') + ')';
+	if (typeof index.where !== 'undefined' && index.where !== null && index.where !== '') {
+		sql += ' WHERE ' + index.where;
+	}
+	return sql;
+}
+
+/**
+ * SQL to add a column to an existing table
+ *
+ * Parameters:
+ * - tableName (string, required)
+ * - column (object, required): column object from setSchema (see above)
+ *
+ * Returns string
+ */
+Database.prototype.getAddColumn = function(tableName, column) {
+	return 'ALTER TABLE ' + tableName + ' ADD COLUMN ' + this._getColumnDefinition(column);
+}
+
+/**
+ * SQL for dropping a table
+ *
+ * Returns string
+ */
+Database.prototype.getDropTable = function(tableName) {
 	return 'DROP TABLE IF EXISTS ' + tableName;
 }
 
+/**
+ * Start a chainable query against a table
+ *
+ * Returns a DatabaseQueryBuilder (documented below)
+ *
+ * USAGE:
+ * db.table('notes').select('id', 'title').where({folder_id: 3})
+ *     .orderBy('modified', 'desc').limit(20).all().then(function(rows) {});
+ */
+Database.prototype.table = function(tableName) {
+	return new DatabaseQueryBuilder(this, tableName);
+}
+
 
 // === Private methods ===
 
@@ -701,147 +2298,2584 @@ Database.prototype.getDropTable = function(tableName) {
  */
 Database.prototype._versionChanged = function(newVersion, callback) {
 	this._dbVersion = newVersion;
+	this.clearCache();
 	callback();
 }
 
 /**
  * @protected
- * Merge user options into the standard set
- * 
- * Parameters:
- * - userOptions (object, required): options passed by the user
- * - extraOptions (object, optional) any default options beyond onSuccess
- *   and onError
+ * Compiles an orderBy option (see getSelect) into an ORDER BY expression
  */
-Database.prototype._getOptions = function(userOptions, extraOptions) {
-	var opts = {
-		"onSuccess": this._emptyFunction,
-		"onError": this.bound._errorHandler
-	};
-	if (typeof extraOptions !== 'undefined') {
-		opts = this._mixin(opts, extraOptions);
+Database.prototype._getOrderBy = function(orderBy) {
+	var terms = [];
+	var i, key, parts;
+	if (typeof orderBy === 'string') {
+		orderBy = [orderBy];
 	}
-	if (typeof userOptions === 'undefined') {
-		var userOptions = {};
+	if (this._isArray(orderBy)) {
+		for (i = 0; i < orderBy.length; i++) {
+			parts = orderBy[i].replace(/(^\s*|\s*$)/g, '').split(/\s+/);
+			terms.push(this._getOrderTerm(parts[0], parts[1]));
+		}
+	} else {
+		for (key in orderBy) {
+			terms.push(this._getOrderTerm(key, orderBy[key]));
+		}
 	}
-	return this._mixin(opts, userOptions);
+	return terms.join(', ');
 }
 
-/** @protected */
-Database.prototype._emptyFunction = function() {}
+/**
+ * @protected
+ * Returns a single ORDER BY term, making sure the direction is valid
+ */
+Database.prototype._getOrderTerm = function(column, direction) {
+	if (typeof direction === 'undefined' || direction === null || direction === '') {
+		return column;
+	}
+	direction = String(direction).toUpperCase();
+	if (direction !== 'ASC' && direction !== 'DESC') {
+		throw new Error('Database: invalid sort direction `' + direction + '` for column ' + column);
+	}
+	return column + ' ' + direction;
+}
 
 /**
  * @protected
- * Used to read in external JSON files
+ * Compiles a where object (see getSelect) into a parameterized condition
+ *
+ * Returns an object with `sql` (without the leading WHERE; empty if there
+ * are no conditions) and `values`
  */
-Database.prototype._readUrl = function(url, callback, options) {
-	// Send our request
-	// We cannot use a Prototype request, because Prototype injects a bunch of useless crap that fucks up Dropbox's OAuth parsing
-	var transport = new XMLHttpRequest();
-	transport.open("get", url, true);
-	transport.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded; charset=UTF-8');
-	var self = this;
-	transport.onreadystatechange = function() {
-		// Only respond once the request is complete
-		if (transport.readyState === 4) {
-			// Shorten that thing up
-			var status = transport.status;
-			if (!status || (status >= 200 && status < 300) || status === 304) {
-				try {
-					var json = JSON.parse(transport.responseText);
-					callback(json, options);
-				} catch (e) {
-					if (console && console.log) {
-						console.log('JSON request error:', e);
-					}
-				}
+Database.prototype._getWhere = function(where) {
+	var values = [];
+	var sql = this._compileWhere(where, values);
+	return {'sql': sql, 'values': values};
+}
+
+/**
+ * @protected
+ * SQL comparison operators for the simple where operators
+ */
+Database.prototype._whereOperators = {
+	'$eq': '=',
+	'$ne': '!=',
+	'$gt': '>',
+	'$gte': '>=',
+	'$lt': '<',
+	'$lte': '<=',
+	'$like': 'LIKE',
+	'$notLike': 'NOT LIKE'
+};
+
+/**
+ * @protected
+ * Compiles the conditions of a where object, joined with AND; pushes any
+ * placeholder values onto `values`
+ */
+Database.prototype._compileWhere = function(where, values) {
+	var clauses = [];
+	for (var key in where) {
+		if (key === '$or' || key === '$and') {
+			clauses.push(this._compileWhereGroup(where[key], (key === '$or' ? ' OR ' : ' AND '), values));
+		} else {
+			clauses.push(this._compileCondition(key, where[key], values));
+		}
+	}
+	return clauses.join(' AND ');
+}
+
+/**
+ * @protected
+ * Compiles an $or/$and group of where objects
+ */
+Database.prototype._compileWhereGroup = function(group, joiner, values) {
+	var i, key, item;
+	// A single object is split up so that each of its keys is a member of the group
+	if (!this._isArray(group)) {
+		var members = [];
+		for (key in group) {
+			item = {};
+			item[key] = group[key];
+			members.push(item);
+		}
+		group = members;
+	}
+	var clauses = [];
+	var clause = '';
+	var length = group.length;
+	for (i = 0; i < length; i++) {
+		clause = this._compileWhere(group[i], values);
+		if (clause !== '') {
+			clauses.push('(' + clause + ')');
+		}
+	}
+	// An empty group can never match with OR, and always matches with AND
+	if (clauses.length === 0) {
+		return (joiner === ' OR ' ? '0' : '1');
+	}
+	return '(' + clauses.join(joiner) + ')';
+}
+
+/**
+ * @protected
+ * Compiles the condition for a single column, which is either a plain
+ * value or an operator object
+ */
+Database.prototype._compileCondition = function(column, condition, values) {
+	if (condition === null || typeof condition !== 'object' || this._isArray(condition) || condition instanceof Date) {
+		values.push(condition);
+		return column + ' = ?';
+	}
+	var clauses = [];
+	var value = null;
+	var placeholders = null;
+	var i;
+	for (var op in condition) {
+		value = condition[op];
+		if (typeof this._whereOperators[op] !== 'undefined') {
+			if (value === null && (op === '$eq' || op === '$ne')) {
+				clauses.push(column + (op === '$eq' ? ' IS NULL' : ' IS NOT NULL'));
 			} else {
-				throw new Error('Database: failed to read JSON at URL `' + url + '`');
+				clauses.push(column + ' ' + this._whereOperators[op] + ' ?');
+				values.push(value);
+			}
+		} else if (op === '$in' || op === '$notIn') {
+			placeholders = [];
+			for (i = 0; i < value.length; i++) {
+				placeholders.push('?');
+				values.push(value[i]);
 			}
+			clauses.push(column + (op === '$in' ? ' IN (' : ' NOT IN (') + placeholders.join(', ') + ')');
+		} else if (op === '$between') {
+			clauses.push(column + ' BETWEEN ? AND ?');
+			values.push(value[0], value[1]);
+		} else if (op === '$isNull') {
+			clauses.push(column + (value ? ' IS NULL' : ' IS NOT NULL'));
+		} else {
+			throw new Error('Database: unknown where operator `' + op + '` for column ' + column);
 		}
-	};
-	// Launch 'er!
-	transport.send();
+	}
+	if (clauses.length === 1) {
+		return clauses[0];
+	}
+	return '(' + clauses.join(' AND ') + ')';
 }
 
 /**
  * @protected
- * Converts an SQLResultSet into a standard Javascript array of results
+ * Finds the shortest chain of migrations from one version to another
+ *
+ * Returns an array of migration objects, or null if there is no path
  */
-Database.prototype._convertResultSet = function(rs) {
-	var results = [];
-	if (rs.rows) {
-		for (var i = 0; i < rs.rows.length; i++) {
-			results.push(rs.rows.item(i));
+Database.prototype._getMigrationPath = function(migrations, from, to) {
+	// Breadth-first search, remembering which step reached each version
+	var reachedBy = {};
+	reachedBy[from] = null;
+	var queue = [from];
+	var version, i, next;
+	var length = migrations.length;
+	while (queue.length > 0) {
+		version = queue.shift();
+		if (version === to) {
+			var path = [];
+			while (reachedBy[version] !== null) {
+				path.unshift(reachedBy[version]);
+				version = String(reachedBy[version].from);
+			}
+			return path;
+		}
+		for (i = 0; i < length; i++) {
+			next = String(migrations[i].to);
+			if (String(migrations[i].from) === version && !reachedBy.hasOwnProperty(next)) {
+				reachedBy[next] = migrations[i];
+				queue.push(next);
+			}
 		}
 	}
-	return results;
+	return null;
 }
 
 /**
  * @protected
- * Used to report generic database errors
+ * Returns the table-level constraint and foreign key definitions for a
+ * table object from the schema
  */
-Database.prototype._errorHandler = function(transaction, error) {
-	// If a transaction error (rather than an executeSQL error) there might only be one parameter
-	if (typeof error === 'undefined') {
-		var error = transaction;
+Database.prototype._getTableConstraints = function(table) {
+	var definitions = [];
+	var i, item, def, target;
+	var constraints = (typeof table.constraints !== 'undefined' ? table.constraints : []);
+	for (i = 0; i < constraints.length; i++) {
+		item = constraints[i];
+		if (typeof item === 'string') {
+			definitions.push(item);
+			continue;
+		}
+		def = (item.name ? 'CONSTRAINT ' + item.name + ' ' : '');
+		if (typeof item.primaryKey !== 'undefined') {
+			def += 'PRIMARY KEY (' + this._toList(item.primaryKey).join(', ') + ')';
+		} else if (typeof item.unique !== 'undefined') {
+			def += 'UNIQUE (' + this._toList(item.unique).join(', ') + ')';
+		} else if (typeof item.check !== 'undefined') {
+			def += 'CHECK (' + item.check + ')';
+		} else {
+			throw new Error('Database: unknown constraint in table ' + table.table);
+		}
+		definitions.push(def);
 	}
-	if (console && console.log) {
-		console.log('Database error (' + error.code + '): ' + error.message);
+	var foreignKeys = (typeof table.foreignKeys !== 'undefined' ? table.foreignKeys : []);
+	for (i = 0; i < foreignKeys.length; i++) {
+		item = foreignKeys[i];
+		target = (typeof item.references === 'string' ? {"table": item.references} : item.references);
+		def = 'FOREIGN KEY (' + this._toList(item.columns).join(', ') + ') REFERENCES ' + target.table;
+		if (typeof target.columns !== 'undefined') {
+			def += ' (' + this._toList(target.columns).join(', ') + ')';
+		}
+		if (item.onDelete) {
+			def += ' ON DELETE ' + item.onDelete;
+		}
+		if (item.onUpdate) {
+			def += ' ON UPDATE ' + item.onUpdate;
+		}
+		definitions.push(def);
 	}
+	return definitions;
 }
 
 /**
  * @protected
- * Used to output "database lost" error
+ * Makes sure every foreign key in a schema references a table that the
+ * schema defines, or one of the `existing` table names if given
+ *
+ * Returns a description of the first problem, or null if there are none
  */
-Database.prototype._db_lost = function() {
-	throw new Error('Database: connection has been closed or lost; cannot execute SQL');
+Database.prototype._checkForeignKeys = function(schema, existing) {
+	var defined = {};
+	var i, j, table, target;
+	if (typeof existing !== 'undefined') {
+		for (i = 0; i < existing.length; i++) {
+			defined[existing[i]] = true;
+		}
+	}
+	for (i = 0; i < schema.length; i++) {
+		if (typeof schema[i] !== 'string' && typeof schema[i].columns !== 'undefined') {
+			defined[schema[i].table] = true;
+		}
+	}
+	for (i = 0; i < schema.length; i++) {
+		table = schema[i];
+		if (typeof table === 'string' || typeof table.foreignKeys === 'undefined') {
+			continue;
+		}
+		for (j = 0; j < table.foreignKeys.length; j++) {
+			target = table.foreignKeys[j].references;
+			target = (target && typeof target === 'object' ? target.table : target);
+			if (!target) {
+				return 'foreign key in table ' + table.table + ' has no referenced table';
+			}
+			if (!defined.hasOwnProperty(target)) {
+				return 'foreign key in table ' + table.table + ' references table ' + target + ', which is not defined in the schema';
+			}
+		}
+	}
+	return null;
 }
 
 /**
  * @protected
- * Detects if the variable is an array or not
+ * Wraps a single value in an array, leaving arrays alone
  */
-Database.prototype._isArray = function(testIt) {
-	return Object.prototype.toString.apply(it) === '[object Array]';
+Database.prototype._toList = function(value) {
+	return (this._isArray(value) ? value : [value]);
 }
 
 /**
  * @protected
- * Returns bound version of the function
+ * Returns the CREATE INDEX statements for a table object from the schema
  */
-Database.prototype._bind = function(scope, method/*, bound arguments*/) {
-	return function(){ return method.apply(scope, arguments || []); }
+Database.prototype._getCreateIndexes = function(table) {
+	var indexes = this._toList(table.indexes);
+	var queries = [];
+	for (var i = 0; i < indexes.length; i++) {
+		queries.push(this.getCreateIndex(table.table, indexes[i]));
+	}
+	return queries;
 }
 
-Database.prototype._mixin = function(target, source) {
-	target = target || {};
-	if (source) {
-		var name;
-		for (name in source) {
-			target[name] = source[name];
+/**
+ * @protected
+ * Returns the insertData section for a setSchema table object, carrying
+ * over its conflict handling and defaulting the conflict columns to the
+ * table's primary key
+ */
+Database.prototype._getDataSection = function(table) {
+	var section = {"table": table.table, "data": table.data};
+	if (typeof table.onConflict !== 'undefined') {
+		section.onConflict = table.onConflict;
+	}
+	if (typeof table.conflictColumns !== 'undefined') {
+		section.conflictColumns = table.conflictColumns;
+		return section;
+	}
+	var keys = this._getPrimaryKey(table);
+	if (keys.length > 0) {
+		section.conflictColumns = keys;
+	}
+	return section;
+}
+
+/**
+ * @protected
+ * Returns the primary key columns of a setSchema table object, from either
+ * its column constraints or its table constraints
+ */
+Database.prototype._getPrimaryKey = function(table) {
+	var keys = [];
+	var i;
+	if (typeof table.columns !== 'undefined') {
+		for (i = 0; i < table.columns.length; i++) {
+			if (table.columns[i].constraints && /PRIMARY\s+KEY/i.test(table.columns[i].constraints.join(' '))) {
+				keys.push(table.columns[i].column);
+			}
 		}
 	}
-	return target; 
+	if (typeof table.constraints !== 'undefined') {
+		for (i = 0; i < table.constraints.length; i++) {
+			if (typeof table.constraints[i].primaryKey !== 'undefined') {
+				keys = this._toList(table.constraints[i].primaryKey);
+			}
+		}
+	}
+	return keys;
 }
 
 /**
- * DatabaseQuery (object)
- *
- * This is a helper  that, at the moment, is basically just an object
- * with standard properties.
- *
- * Maybe down the road I'll add some helper methods for working with queries.
+ * @protected
+ * Checks an insertData onConflict strategy, returning a description of
+ * the problem or null if it can be used
+ */
+Database.prototype._checkConflict = function(tableName, onConflict, conflictColumns) {
+	if (onConflict !== 'fail' && onConflict !== 'ignore' && onConflict !== 'replace' && onConflict !== 'update') {
+		return 'unknown onConflict strategy `' + onConflict + '` for table ' + tableName;
+	}
+	if (onConflict === 'update' && (conflictColumns === null || typeof conflictColumns === 'undefined' || this._toList(conflictColumns).length === 0)) {
+		return 'onConflict `update` needs conflictColumns for table ' + tableName;
+	}
+	return null;
+}
+
+/**
+ * @protected
+ * Returns the queries that insert rows with an insertData onConflict
+ * strategy other than 'fail' (already checked by _checkConflict)
  *
- * USAGE:
- * var myQuery = new DatabaseQuery({
- *     sql: 'SELECT * FROM somewhere WHERE id = ?',
- *     values: ['someID']
- * });
+ * 'update' is done as INSERT OR IGNORE followed by an UPDATE of each row,
+ * which works on every SQLite version (unlike ON CONFLICT DO UPDATE).
  */
-DatabaseQuery = function(inProps) {
-	this.sql = (typeof inProps.sql !== 'undefined' ? inProps.sql : '');
-	this.values = (typeof inProps.values !== 'undefined' ? inProps.values : []);
-};
+Database.prototype._getConflictInserts = function(tableName, rows, onConflict, conflictColumns, bulk) {
+	var verbs = {"ignore": 'INSERT OR IGNORE INTO', "replace": 'INSERT OR REPLACE INTO', "update": 'INSERT OR IGNORE INTO'};
+	var inserts = [];
+	var i;
+	if (bulk) {
+		inserts = this.getInsertMany(tableName, rows);
+	} else {
+		for (i = 0; i < rows.length; i++) {
+			inserts.push(this.getInsert(tableName, rows[i]));
+		}
+	}
+	for (i = 0; i < inserts.length; i++) {
+		inserts[i].sql = inserts[i].sql.replace(/^INSERT INTO/, verbs[onConflict]);
+	}
+	if (onConflict !== 'update') {
+		return inserts;
+	}
+	// Now bring the rows that already existed up to date
+	conflictColumns = this._toList(conflictColumns);
+	var isKey = {};
+	for (i = 0; i < conflictColumns.length; i++) {
+		isKey[conflictColumns[i]] = true;
+	}
+	var updates = [];
+	var data, where, key, hasData, keys;
+	for (i = 0; i < rows.length; i++) {
+		data = {};
+		where = {};
+		hasData = false;
+		keys = 0;
+		for (key in rows[i]) {
+			if (isKey.hasOwnProperty(key)) {
+				where[key] = rows[i][key];
+				keys++;
+			} else {
+				data[key] = rows[i][key];
+				hasData = true;
+			}
+		}
+		// Without every key column the row can't be matched, so it is only inserted
+		if (hasData && keys === conflictColumns.length) {
+			updates.push(this.getUpdate(tableName, data, where));
+		}
+	}
+	return inserts.concat(updates);
+}
+
+/**
+ * @protected
+ * Returns the SQL definition for a column object from the schema
+ */
+Database.prototype._getColumnDefinition = function(col) {
+	var colDef = col.column + ' ' + col.type;
+	if (col.constraints && col.constraints.length > 0) {
+		colDef += ' ' + col.constraints.join(' ');
+	}
+	return colDef;
+}
+
+/**
+ * @protected
+ * Compares a table definition with its live columns (see diffSchema) and
+ * adds the results to `result`
+ */
+Database.prototype._diffColumns = function(table, live, result) {
+	var liveByName = {};
+	var wanted = {};
+	var i, col, actual, constraints;
+	for (i = 0; i < live.length; i++) {
+		liveByName[live[i].column.toLowerCase()] = live[i];
+	}
+	for (i = 0; i < table.columns.length; i++) {
+		col = table.columns[i];
+		wanted[col.column.toLowerCase()] = true;
+		actual = liveByName[col.column.toLowerCase()];
+		if (typeof actual === 'undefined') {
+			constraints = (col.constraints ? col.constraints.join(' ').toUpperCase() : '');
+			if (/PRIMARY\s+KEY|UNIQUE/.test(constraints) || !this._canAddColumn(constraints)) {
+				result.differences.push({"table": table.table, "column": col.column, "problem": 'cannot add', "expected": col.type});
+			} else {
+				if (!result.alterations.hasOwnProperty(table.table)) {
+					result.alterations[table.table] = [];
+				}
+				result.alterations[table.table].push(this.getAddColumn(table.table, col));
+			}
+		} else if (String(actual.type).replace(/\s+/g, ' ').toUpperCase() !== String(col.type).replace(/\s+/g, ' ').toUpperCase()) {
+			result.differences.push({"table": table.table, "column": col.column, "problem": 'retyped', "expected": col.type, "actual": actual.type});
+		}
+	}
+	for (i = 0; i < live.length; i++) {
+		if (!wanted.hasOwnProperty(live[i].column.toLowerCase())) {
+			result.differences.push({"table": table.table, "column": live[i].column, "problem": 'removed', "actual": live[i].type});
+		}
+	}
+}
+
+/**
+ * @protected
+ * Whether ALTER TABLE ADD COLUMN accepts a column with these (uppercased)
+ * constraints, as far as its NOT NULL and DEFAULT go
+ */
+Database.prototype._canAddColumn = function(constraints) {
+	var defaultValue = /\bDEFAULT\s*(\(|[^\s(]+)/.exec(constraints);
+	if (defaultValue !== null && (defaultValue[1] === '(' || /^CURRENT_(TIMESTAMP|DATE|TIME)$/.test(defaultValue[1]))) {
+		return false;
+	}
+	// Existing rows get the default, so NOT NULL needs one that isn't NULL
+	if (/\bNOT\s+NULL\b/.test(constraints) && (defaultValue === null || defaultValue[1] === 'NULL')) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * @protected
+ * Describes the outcome of a statement: the SQL that ran, the number of
+ * rows it changed and the ID of the row it inserted (null if none)
+ */
+Database.prototype._getResultInfo = function(results, sql) {
+	var info = {"sql": sql, "rowsAffected": 0, "insertId": null};
+	try {
+		info.rowsAffected = results.rowsAffected;
+	} catch(e) {}
+	// Accessing insertId throws if the statement did not insert a row
+	try {
+		if (typeof results.insertId !== 'undefined') {
+			info.insertId = results.insertId;
+		}
+	} catch(e) {}
+	return info;
+}
+
+/**
+ * @protected
+ * Notes the table and operation of a statement that changed rows, given
+ * its result info (see _getResultInfo)
+ */
+Database.prototype._trackChange = function(changes, info) {
+	if (/^\s*(CREATE|DROP|ALTER)\b/i.test(info.sql)) {
+		// Only matters to the cache; not reported as a change event
+		changes.push({"table": null, "operation": 'schema', "rowsAffected": 0, "ids": null});
+		return;
+	}
+	if (!info.rowsAffected) {
+		return;
+	}
+	var match = /^\s*(INSERT|REPLACE|UPDATE|DELETE)(\s+OR\s+\w+)?\s+(INTO\s+|FROM\s+)?("[^"]+"|\[[^\]]+\]|`[^`]+`|[\w$.]+)/i.exec(info.sql);
+	if (match === null) {
+		return;
+	}
+	var table = match[4];
+	if (/^["\[`]/.test(table)) {
+		table = table.substring(1, table.length - 1);
+	} else if (table.indexOf('.') !== -1) {
+		// Drop the database name from main.table
+		table = table.substring(table.lastIndexOf('.') + 1);
+	}
+	var operation = match[1].toUpperCase();
+	operation = (operation === 'REPLACE' ? 'insert' : operation.toLowerCase());
+	changes.push({
+		"table": table,
+		"operation": operation,
+		"rowsAffected": info.rowsAffected,
+		"ids": (operation === 'insert' && info.rowsAffected === 1 && info.insertId !== null ? [info.insertId] : null)
+	});
+}
+
+/**
+ * @protected
+ * Fires 'change' events for the changes made by a committed transaction,
+ * one per table and operation. Runs after the transaction's promise has
+ * settled; a handler that throws is logged and does not stop the others.
+ */
+Database.prototype._emitChanges = function(changes) {
+	var listeners = this._listeners.change;
+	if (changes.length === 0 || typeof listeners === 'undefined' || listeners.length === 0) {
+		return;
+	}
+	var events = [];
+	var byKey = {};
+	var change, event, key, i, j;
+	for (i = 0; i < changes.length; i++) {
+		change = changes[i];
+		if (change.operation === 'schema') {
+			continue;
+		}
+		key = change.table + ' ' + change.operation;
+		if (!byKey.hasOwnProperty(key)) {
+			byKey[key] = {"table": change.table, "operation": change.operation, "rowsAffected": 0, "ids": []};
+			events.push(byKey[key]);
+		}
+		event = byKey[key];
+		event.rowsAffected += change.rowsAffected;
+		event.ids = (event.ids !== null && change.ids !== null ? event.ids.concat(change.ids) : null);
+	}
+	// Copy the listeners, in case a handler adds or removes one
+	listeners = listeners.slice(0);
+	for (i = 0; i < events.length; i++) {
+		for (j = 0; j < listeners.length; j++) {
+			if (listeners[j].table === null || listeners[j].table === events[i].table) {
+				try {
+					listeners[j].handler(events[i]);
+				} catch (e) {
+					if (console && console.log) {
+						console.log('Database: change listener failed: ' + e.message);
+					}
+				}
+			}
+		}
+	}
+}
+
+/**
+ * @protected
+ * Whether a statement only reads data, and so can be cached
+ */
+Database.prototype._isRead = function(sql) {
+	if (/^\s*SELECT\b/i.test(sql)) {
+		return true;
+	}
+	return (/^\s*WITH\b/i.test(sql) && !/\b(INSERT|UPDATE|DELETE|REPLACE)\b/i.test(sql));
+}
+
+/**
+ * @protected
+ * Returns a copy of a live cache entry's result object, or null
+ */
+Database.prototype._readCache = function(key) {
+	var cache = this._cache;
+	if (!cache.entries.hasOwnProperty(key)) {
+		return null;
+	}
+	var entry = cache.entries[key];
+	var index = this._indexOf(cache.keys, key);
+	cache.keys.splice(index, 1);
+	if (cache.ttl > 0 && (new Date()).getTime() - entry.time > cache.ttl) {
+		delete cache.entries[key];
+		return null;
+	}
+	// Most recently used entries go at the end
+	cache.keys.push(key);
+	// Copy the rows so callers can't change what is cached
+	var result = this._mixin({}, entry.result);
+	result.rows = [];
+	for (var i = 0; i < entry.result.rows.length; i++) {
+		result.rows.push(this._mixin({}, entry.result.rows[i]));
+	}
+	return result;
+}
+
+/**
+ * @protected
+ * Stores a query result, unless the cache was invalidated while the query
+ * was running
+ */
+Database.prototype._writeCache = function(key, sql, result, generation) {
+	var cache = this._cache;
+	if (cache === null || result === null || cache.generation !== generation) {
+		return;
+	}
+	var stored = this._mixin({}, result);
+	stored.rows = [];
+	for (var i = 0; i < result.rows.length; i++) {
+		stored.rows.push(this._mixin({}, result.rows[i]));
+	}
+	if (cache.entries.hasOwnProperty(key)) {
+		cache.keys.splice(this._indexOf(cache.keys, key), 1);
+	}
+	cache.entries[key] = {"sql": sql, "result": stored, "time": (new Date()).getTime()};
+	cache.keys.push(key);
+	while (cache.keys.length > cache.size) {
+		delete cache.entries[cache.keys.shift()];
+	}
+}
+
+/**
+ * @protected
+ * Drops the cache entries whose SQL mentions a table that was written to
+ */
+Database.prototype._invalidateCache = function(changes) {
+	var cache = this._cache;
+	if (cache === null) {
+		return;
+	}
+	var patterns = [];
+	var i, key;
+	for (i = 0; i < changes.length; i++) {
+		if (changes[i].table === null) {
+			this.clearCache();
+			return;
+		}
+		patterns.push(new RegExp('(^|[^\\w$])' + changes[i].table.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&') + '($|[^\\w$])', 'i'));
+	}
+	if (patterns.length === 0) {
+		return;
+	}
+	// Reads that are still running must not store what they saw
+	cache.generation++;
+	for (i = cache.keys.length - 1; i >= 0; i--) {
+		key = cache.keys[i];
+		for (var j = 0; j < patterns.length; j++) {
+			if (patterns[j].test(cache.entries[key].sql)) {
+				delete cache.entries[key];
+				cache.keys.splice(i, 1);
+				break;
+			}
+		}
+	}
+}
+
+/**
+ * @protected
+ * Array.indexOf for older WebKit
+ */
+Database.prototype._indexOf = function(list, item) {
+	for (var i = 0; i < list.length; i++) {
+		if (list[i] === item) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * @protected
+ * Reads every row of a table within an existing transaction, turning them
+ * into INSERT statements on table.inserts (see dumpSql)
+ */
+Database.prototype._dumpRows = function(transaction, table) {
+	var self = this;
+	var name = this._quoteName(table.name);
+	transaction.executeSql('SELECT * FROM ' + name, [], function(transaction, results) {
+		var rows = self._convertResultSet(results);
+		var columns, values, key;
+		for (var i = 0; i < rows.length; i++) {
+			columns = [];
+			values = [];
+			for (key in rows[i]) {
+				columns.push(self._quoteName(key));
+				values.push(self._toSqlLiteral(rows[i][key]));
+			}
+			table.inserts.push('INSERT INTO ' + name + ' (' + columns.join(', ') + ') VALUES (' + values.join(', ') + ');');
+		}
+	});
+}
+
+/**
+ * @protected
+ * Converts a value into an SQL literal for dumps
+ */
+Database.prototype._toSqlLiteral = function(value) {
+	if (value === null || typeof value === 'undefined') {
+		return 'NULL';
+	}
+	if (typeof value === 'number') {
+		return (isFinite(value) ? String(value) : 'NULL');
+	}
+	if (typeof value === 'boolean') {
+		return (value ? '1' : '0');
+	}
+	// BLOBs come back from SQLite bindings as typed arrays; older WebKit has none
+	if (typeof ArrayBuffer !== 'undefined' && (value instanceof ArrayBuffer || (ArrayBuffer.isView && ArrayBuffer.isView(value)))) {
+		var bytes = (value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+		var hex = '';
+		for (var i = 0; i < bytes.length; i++) {
+			hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+		}
+		return "X'" + hex + "'";
+	}
+	return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * @protected
+ * Parses CSV text into an array of records (arrays of strings)
+ *
+ * Follows RFC 4180, but also accepts bare \n line endings. Blank lines
+ * are skipped.
+ */
+Database.prototype._parseCsv = function(text, delimiter) {
+	var records = [];
+	var record = [];
+	var field = '';
+	var quoted = false;
+	var length = text.length;
+	var i = (text.charAt(0) === '\uFEFF' ? 1 : 0);
+	var ch = '';
+	var endRecord = function() {
+		record.push(field);
+		if (record.length > 1 || record[0] !== '') {
+			records.push(record);
+		}
+		record = [];
+		field = '';
+	};
+	for (; i < length; i++) {
+		ch = text.charAt(i);
+		if (quoted) {
+			if (ch === '"') {
+				if (text.charAt(i + 1) === '"') {
+					field += '"';
+					i++;
+				} else {
+					quoted = false;
+				}
+			} else {
+				field += ch;
+			}
+		} else if (ch === '"') {
+			quoted = true;
+		} else if (ch === delimiter) {
+			record.push(field);
+			field = '';
+		} else if (ch === '\r' || ch === '\n') {
+			if (ch === '\r' && text.charAt(i + 1) === '\n') {
+				i++;
+			}
+			endRecord();
+		} else {
+			field += ch;
+		}
+	}
+	if (field !== '' || record.length > 0) {
+		endRecord();
+	}
+	return records;
+}
+
+/**
+ * @protected
+ * Formats an array of values as a CSV line (including the line break)
+ */
+Database.prototype._toCsvLine = function(fields, delimiter) {
+	var line = [];
+	var value;
+	for (var i = 0; i < fields.length; i++) {
+		value = fields[i];
+		if (value === null || typeof value === 'undefined') {
+			value = '';
+		}
+		value = String(value);
+		if (value.indexOf(delimiter) !== -1 || /["\r\n]/.test(value) || /(^\s|\s$)/.test(value)) {
+			value = '"' + value.replace(/"/g, '""') + '"';
+		}
+		line.push(value);
+	}
+	return line.join(delimiter) + '\r\n';
+}
+
+/**
+ * @protected
+ * Returns the SQLite type affinity (INTEGER, TEXT, BLOB, REAL or NUMERIC)
+ * for a declared column type
+ */
+Database.prototype._getAffinity = function(type) {
+	var type = (type ? type.toUpperCase() : '');
+	if (type.indexOf('INT') !== -1) {
+		return 'INTEGER';
+	}
+	if (/(CHAR|CLOB|TEXT)/.test(type)) {
+		return 'TEXT';
+	}
+	if (type === '' || type.indexOf('BLOB') !== -1) {
+		return 'BLOB';
+	}
+	if (/(REAL|FLOA|DOUB)/.test(type)) {
+		return 'REAL';
+	}
+	return 'NUMERIC';
+}
+
+/**
+ * @protected
+ * Converts a string (from CSV) to a value suited to a column's affinity
+ */
+Database.prototype._coerceValue = function(value, affinity) {
+	if (affinity === 'TEXT') {
+		return value;
+	}
+	if (value === '') {
+		return null;
+	}
+	if (affinity !== 'BLOB' && /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+		return Number(value);
+	}
+	return value;
+}
+
+/**
+ * @protected
+ * Converts a value read from the database to suit a model column's
+ * declared type (see defineModel)
+ */
+Database.prototype._castValue = function(value, type) {
+	if (value === null || typeof value === 'undefined') {
+		return null;
+	}
+	var type = (type ? type.toUpperCase() : '');
+	if (type.indexOf('BOOL') !== -1) {
+		if (typeof value === 'string') {
+			return !(value === '' || value === '0' || value.toLowerCase() === 'false');
+		}
+		return Boolean(value);
+	}
+	if (type.indexOf('DATE') !== -1 || type.indexOf('TIME') !== -1) {
+		if (value instanceof Date) {
+			return value;
+		}
+		if (typeof value === 'number' || /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+			return new Date(Number(value));
+		}
+		// SQLite's datetime() format is UTC with a space instead of a T
+		var text = String(value).replace(/^(\d{4}-\d\d-\d\d) /, '$1T');
+		if (/T\d\d:\d\d(:\d\d(\.\d+)?)?$/.test(text)) {
+			text += 'Z';
+		}
+		var date = new Date(text);
+		return (isNaN(date.getTime()) ? value : date);
+	}
+	var affinity = this._getAffinity(type);
+	if (affinity === 'INTEGER' || affinity === 'REAL' || affinity === 'NUMERIC') {
+		var number = (typeof value === 'number' ? value : Number(value));
+		return (value === '' || isNaN(number) ? value : number);
+	}
+	return value;
+}
+
+/**
+ * @protected
+ * Converts a model value into something SQLite can store
+ */
+Database.prototype._serializeValue = function(value) {
+	if (typeof value === 'boolean') {
+		return (value ? 1 : 0);
+	}
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+	return value;
+}
+
+/**
+ * @protected
+ * Returns the keys of an object, in order
+ */
+Database.prototype._getKeys = function(object) {
+	var keys = [];
+	for (var key in object) {
+		keys.push(key);
+	}
+	return keys;
+}
+
+/**
+ * @protected
+ * Splits SQL text into individual statements (without trailing semicolons)
+ *
+ * Semicolons inside quotes, comments and CREATE TRIGGER ... END bodies do
+ * not end a statement. Comments are dropped. Inside a trigger, BEGIN and
+ * CASE each open a block that a later END closes, so a CASE ... END in the
+ * body doesn't end the trigger early.
+ */
+Database.prototype._splitSql = function(text) {
+	var statements = [];
+	var current = '';
+	var length = text.length;
+	var i = 0, end = 0, depth = 0;
+	var ch = '', closer = '', statement = '', word = '';
+	var closers = {"'": "'", '"': '"', '`': '`', '[': ']'};
+	var trigger = /^\s*CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i;
+	while (i < length) {
+		ch = text.charAt(i);
+		if (/[A-Za-z_]/.test(ch)) {
+			// Read whole words so keywords are only counted outside quotes and comments
+			end = i + 1;
+			while (end < length && /[\w$]/.test(text.charAt(end))) {
+				end++;
+			}
+			word = text.substring(i, end).toUpperCase();
+			if ((word === 'BEGIN' || word === 'CASE' || word === 'END') && trigger.test(current)) {
+				depth += (word === 'END' ? -1 : 1);
+			}
+			current += text.substring(i, end);
+			i = end;
+		} else if (closers.hasOwnProperty(ch)) {
+			// Copy the quoted section as-is; doubled quotes are simply two sections in a row
+			closer = closers[ch];
+			end = text.indexOf(closer, i + 1);
+			end = (end === -1 ? length : end + 1);
+			current += text.substring(i, end);
+			i = end;
+		} else if (ch === '-' && text.charAt(i + 1) === '-') {
+			end = text.indexOf('\n', i);
+			i = (end === -1 ? length : end);
+		} else if (ch === '/' && text.charAt(i + 1) === '*') {
+			end = text.indexOf('*/', i + 2);
+			i = (end === -1 ? length : end + 2);
+			current += ' ';
+		} else if (ch === ';') {
+			if (depth > 0) {
+				// Still inside the trigger body
+				current += ch;
+			} else {
+				statement = current.replace(/(^\s*|\s*$)/g, '');
+				if (statement !== '') {
+					statements.push(statement);
+				}
+				current = '';
+			}
+			i++;
+		} else {
+			current += ch;
+			i++;
+		}
+	}
+	statement = current.replace(/(^\s*|\s*$)/g, '');
+	if (statement !== '') {
+		statements.push(statement);
+	}
+	return statements;
+}
+
+/**
+ * @protected
+ * Splits a fragment of SQL into top-level tokens: commas, quoted names or
+ * strings, whole parenthesized groups (parentheses included) and runs of
+ * other characters. Whitespace and comments are dropped.
+ */
+Database.prototype._tokenizeSql = function(text) {
+	var tokens = [];
+	var length = text.length;
+	var i = 0, end = 0, depth = 0;
+	var ch = '', closer = '';
+	var closers = {"'": "'", '"': '"', '`': '`', '[': ']'};
+	while (i < length) {
+		ch = text.charAt(i);
+		end = i + 1;
+		if (/\s/.test(ch)) {
+			i++;
+			continue;
+		} else if (ch === '-' && text.charAt(i + 1) === '-') {
+			end = text.indexOf('\n', i);
+			i = (end === -1 ? length : end);
+			continue;
+		} else if (ch === '/' && text.charAt(i + 1) === '*') {
+			end = text.indexOf('*/', i + 2);
+			i = (end === -1 ? length : end + 2);
+			continue;
+		} else if (closers.hasOwnProperty(ch)) {
+			end = text.indexOf(closers[ch], i + 1);
+			end = (end === -1 ? length : end + 1);
+		} else if (ch === '(') {
+			// Find the matching parenthesis, skipping over quotes and comments
+			depth = 0;
+			end = i;
+			while (end < length) {
+				ch = text.charAt(end);
+				closer = (ch === '-' && text.charAt(end + 1) === '-' ? '\n' : (ch === '/' && text.charAt(end + 1) === '*' ? '*/' : closers[ch]));
+				if (typeof closer !== 'undefined') {
+					end = text.indexOf(closer, end + 1);
+					end = (end === -1 ? length : end + closer.length);
+					continue;
+				}
+				depth += (ch === '(' ? 1 : (ch === ')' ? -1 : 0));
+				end++;
+				if (depth === 0) {
+					break;
+				}
+			}
+		} else if (ch !== ',') {
+			while (end < length && !/[\s,()'"`\[]/.test(text.charAt(end))) {
+				end++;
+			}
+		}
+		tokens.push(text.substring(i, end));
+		i = end;
+	}
+	return tokens;
+}
+
+/**
+ * @protected
+ * Reads what PRAGMA table_info leaves out of a CREATE TABLE statement:
+ * column AUTOINCREMENT, UNIQUE, CHECK and COLLATE constraints, and
+ * table-level UNIQUE and CHECK constraints (as strings). Primary and
+ * foreign keys are left to the PRAGMAs.
+ *
+ * Returns {"columns": {lowercase name: [constraints]}, "constraints": [...]}
+ */
+Database.prototype._getCreateTableExtras = function(sql) {
+	var extras = {"columns": {}, "constraints": []};
+	var tokens = this._tokenizeSql(sql);
+	var body = null;
+	var i, j, token, word, definition, found;
+	for (i = 0; i < tokens.length; i++) {
+		if (tokens[i].charAt(0) === '(') {
+			body = tokens[i].substring(1, tokens[i].length - 1);
+			break;
+		}
+	}
+	if (body === null) {
+		return extras;
+	}
+	tokens = this._tokenizeSql(body).concat([',']);
+	definition = [];
+	for (i = 0; i < tokens.length; i++) {
+		if (tokens[i] !== ',') {
+			definition.push(tokens[i]);
+			continue;
+		}
+		word = (definition.length > 0 ? definition[0].toUpperCase() : '');
+		if (word === 'CONSTRAINT' || word === 'UNIQUE' || word === 'CHECK') {
+			// Named constraints may be keys too, which the PRAGMAs already cover
+			word = (word === 'CONSTRAINT' && definition.length > 2 ? definition[2].toUpperCase() : word);
+			if (word === 'UNIQUE' || word === 'CHECK') {
+				extras.constraints.push(definition.join(' '));
+			}
+		} else if (word !== '' && word !== 'PRIMARY' && word !== 'FOREIGN') {
+			found = [];
+			for (j = 1; j < definition.length; j++) {
+				token = definition[j];
+				word = token.toUpperCase();
+				if (word === 'AUTOINCREMENT' || word === 'UNIQUE') {
+					found.push(word);
+				} else if ((word === 'CHECK' || word === 'COLLATE') && j + 1 < definition.length) {
+					found.push(word + ' ' + definition[j + 1]);
+					j++;
+				}
+			}
+			if (found.length > 0) {
+				extras.columns[definition[0].replace(/^["`\[]|["`\]]$/g, '').toLowerCase()] = found;
+			}
+		}
+		definition = [];
+	}
+	return extras;
+}
+
+/**
+ * @protected
+ * Adds the constraints found by _getCreateTableExtras to a column object
+ * from getColumns; AUTOINCREMENT has to follow PRIMARY KEY directly
+ */
+Database.prototype._addColumnExtras = function(column, extras) {
+	if (typeof extras === 'undefined') {
+		return;
+	}
+	var constraints = (typeof column.constraints !== 'undefined' ? column.constraints : []);
+	for (var i = 0; i < extras.length; i++) {
+		if (extras[i] === 'AUTOINCREMENT' && constraints[0] === 'PRIMARY KEY') {
+			constraints[0] = 'PRIMARY KEY AUTOINCREMENT';
+		} else if (extras[i] !== 'AUTOINCREMENT') {
+			constraints.push(extras[i]);
+		}
+	}
+	if (constraints.length > 0) {
+		column.constraints = constraints;
+	}
+}
+
+/**
+ * @protected
+ * Converts the rows of PRAGMA foreign_key_list into schema foreignKeys,
+ * in the order they were declared
+ */
+Database.prototype._getForeignKeys = function(rows) {
+	var foreignKeys = [];
+	var byId = {};
+	var i, row, item;
+	// SQLite numbers the keys from the last one declared
+	for (i = rows.length - 1; i >= 0; i--) {
+		row = rows[i];
+		if (!byId.hasOwnProperty(row.id)) {
+			byId[row.id] = {"columns": [], "references": {"table": row.table, "columns": []}};
+			if (row.on_delete && row.on_delete !== 'NO ACTION') {
+				byId[row.id].onDelete = row.on_delete;
+			}
+			if (row.on_update && row.on_update !== 'NO ACTION') {
+				byId[row.id].onUpdate = row.on_update;
+			}
+			foreignKeys.push(byId[row.id]);
+		}
+		item = byId[row.id];
+		// Rows run backwards, so keep each key's columns in seq order
+		item.columns[row.seq] = row.from;
+		if (row.to === null) {
+			// No columns given: the key references the primary key
+			item.references = row.table;
+		} else {
+			item.references.columns[row.seq] = row.to;
+		}
+	}
+	return foreignKeys;
+}
+
+/**
+ * @protected
+ * Resolves with the tables named in options.tables, or every user table
+ */
+Database.prototype._getExportTables = function(options) {
+	if (options.tables !== null && typeof options.tables !== 'undefined') {
+		var deferred = this._deferred();
+		deferred.resolve(this._toList(options.tables));
+		return deferred.promise;
+	}
+	return this.getTables({"onError": options.onError});
+}
+
+/**
+ * @protected
+ * Returns a promise that resolves with the results of every promise in the
+ * array (in the same order), or rejects with the first error
+ */
+Database.prototype._whenAll = function(promises) {
+	var deferred = this._deferred();
+	var results = [];
+	var pending = promises.length;
+	if (pending === 0) {
+		deferred.resolve(results);
+		return deferred.promise;
+	}
+	var wait = function(index) {
+		promises[index].then(function(value) {
+			results[index] = value;
+			pending--;
+			if (pending === 0) {
+				deferred.resolve(results);
+			}
+		}, deferred.reject);
+	};
+	for (var i = 0; i < promises.length; i++) {
+		wait(i);
+	}
+	return deferred.promise;
+}
+
+/**
+ * @protected
+ * Runs a single query and passes its rows through `convert` before handing
+ * them to options.onSuccess and the returned promise
+ */
+Database.prototype._queryAndConvert = function(sql, values, options, convert) {
+	var options = this._getOptions(options);
+	var deferred = this._deferred();
+	// Introspection must always see the live schema
+	this.query(sql, {"values": values, "onError": options.onError, "cache": false}).then(function(rows) {
+		var result = convert(rows);
+		options.onSuccess(result);
+		deferred.resolve(result);
+	}, deferred.reject);
+	return deferred.promise;
+}
+
+/**
+ * @protected
+ * Fills in the columns of an index object (see getIndexes) within an
+ * existing transaction
+ */
+Database.prototype._readIndexColumns = function(transaction, index) {
+	var self = this;
+	transaction.executeSql('PRAGMA index_info(' + this._quoteName(index.name) + ')', [], function(transaction, results) {
+		var rows = self._convertResultSet(results);
+		// seqno is the position of the column within the index
+		rows.sort(function(a, b) {
+			return a.seqno - b.seqno;
+		});
+		for (var i = 0; i < rows.length; i++) {
+			index.columns.push(rows[i].name);
+		}
+	});
+}
+
+/**
+ * @protected
+ * Quotes a table or index name for use in SQL where placeholders are not
+ * allowed
+ */
+Database.prototype._quoteName = function(name) {
+	return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+/**
+ * @protected
+ * Merge user options into the standard set
+ * 
+ * Parameters:
+ * - userOptions (object, required): options passed by the user
+ * - extraOptions (object, optional) any default options beyond onSuccess
+ *   and onError
+ */
+Database.prototype._getOptions = function(userOptions, extraOptions) {
+	var opts = {
+		"onSuccess": this._emptyFunction,
+		"onError": this.bound._errorHandler
+	};
+	if (typeof extraOptions !== 'undefined') {
+		opts = this._mixin(opts, extraOptions);
+	}
+	if (typeof userOptions === 'undefined') {
+		var userOptions = {};
+	}
+	return this._mixin(opts, userOptions);
+}
+
+/** @protected */
+Database.prototype._emptyFunction = function() {}
+
+/**
+ * @protected
+ * Used to read in external JSON files
+ *
+ * If the file can't be fetched or parsed, options.onError receives a
+ * DatabaseError of kind REQUEST or PARSE, naming the calling method.
+ *
+ * Returns a promise that settles along with the promise returned by callback
+ */
+Database.prototype._readUrl = function(url, callback, options, method) {
+	var deferred = this._deferred();
+	var self = this;
+	var fail = function(error) {
+		self._getOptions(options).onError(error);
+		deferred.reject(error);
+	};
+	// Send our request
+	// We cannot use a Prototype request, because Prototype injects a bunch of useless crap that fucks up Dropbox's OAuth parsing
+	var transport = new XMLHttpRequest();
+	transport.open("get", url, true);
+	transport.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded; charset=UTF-8');
+	transport.onreadystatechange = function() {
+		// Only respond once the request is complete
+		if (transport.readyState === 4) {
+			// Shorten that thing up
+			var status = transport.status;
+			if (!status || (status >= 200 && status < 300) || status === 304) {
+				try {
+					var json = JSON.parse(transport.responseText);
+				} catch (e) {
+					fail(new DatabaseError({"kind": DatabaseError.PARSE, "message": 'invalid JSON at URL `' + url + '`: ' + e.message}, method));
+					return;
+				}
+				callback(json, options).then(deferred.resolve, deferred.reject);
+			} else {
+				fail(new DatabaseError({"kind": DatabaseError.REQUEST, "message": 'failed to read JSON at URL `' + url + '` (status ' + status + ')'}, method));
+			}
+		}
+	};
+	// Launch 'er!
+	transport.send();
+	return deferred.promise;
+}
+
+/**
+ * @protected
+ * Converts an SQLResultSet into a standard Javascript array of results
+ */
+Database.prototype._convertResultSet = function(rs) {
+	var results = [];
+	if (rs.rows) {
+		for (var i = 0; i < rs.rows.length; i++) {
+			results.push(rs.rows.item(i));
+		}
+	}
+	return results;
+}
+
+/**
+ * @protected
+ * Creates a deferred object with a promise and its resolve/reject functions
+ *
+ * Uses the native Promise when there is one, and DatabasePromise otherwise.
+ * The promise is marked as handled so that callback-only callers do not
+ * trigger unhandled rejection warnings.
+ */
+Database.prototype._deferred = function() {
+	var Thenable = (typeof Promise !== 'undefined' ? Promise : DatabasePromise);
+	var deferred = {};
+	deferred.promise = new Thenable(function(resolve, reject) {
+		deferred.resolve = resolve;
+		deferred.reject = reject;
+	});
+	deferred.promise.then(null, this._emptyFunction);
+	return deferred;
+}
+
+/**
+ * @protected
+ * Used to report generic database errors
+ */
+Database.prototype._errorHandler = function(transaction, error) {
+	// If a transaction error (rather than an executeSQL error) there might only be one parameter
+	if (typeof error === 'undefined') {
+		var error = transaction;
+	}
+	if (!(error instanceof DatabaseError)) {
+		error = new DatabaseError(error);
+	}
+	if (console && console.log) {
+		console.log('Database error (' + error.kind + (error.method ? ' in ' + error.method : '') + '): ' + error.message + (error.sql ? ' [' + error.sql + ']' : ''));
+	}
+}
+
+/**
+ * @protected
+ * Used to output "database lost" error
+ */
+Database.prototype._db_lost = function() {
+	throw new Error('Database: connection has been closed or lost; cannot execute SQL');
+}
+
+/**
+ * @protected
+ * Detects if the variable is an array or not
+ */
+Database.prototype._isArray = function(testIt) {
+	return Object.prototype.toString.apply(testIt) === '[object Array]';
+}
+
+/**
+ * @protected
+ * Returns bound version of the function
+ */
+Database.prototype._bind = function(scope, method/*, bound arguments*/) {
+	var boundArgs = Array.prototype.slice.call(arguments, 2);
+	return function(){ return method.apply(scope, boundArgs.concat(Array.prototype.slice.call(arguments))); }
+}
+
+Database.prototype._mixin = function(target, source) {
+	target = target || {};
+	if (source) {
+		var name;
+		for (name in source) {
+			target[name] = source[name];
+		}
+	}
+	return target; 
+}
+
+/**
+ * DatabaseQuery (object)
+ *
+ * This is a helper  that, at the moment, is basically just an object
+ * with standard properties.
+ *
+ * To build queries step by step, see DatabaseQueryBuilder (db.table()).
+ *
+ * USAGE:
+ * var myQuery = new DatabaseQuery({
+ *     sql: 'SELECT * FROM somewhere WHERE id = ?',
+ *     values: ['someID']
+ * });
+ */
+DatabaseQuery = function(inProps) {
+	this.sql = (typeof inProps.sql !== 'undefined' ? inProps.sql : '');
+	this.values = (typeof inProps.values !== 'undefined' ? inProps.values : []);
+};
+
+/**
+ * DatabaseError (object)
+ *
+ * Promises are rejected with, and onError callbacks receive, one of these.
+ * It wraps the SQLError (or other error) that caused the failure:
+ *
+ * - message (string): what went wrong
+ * - code (int): the SQLError code, or 0 when SQLite wasn't involved
+ * - kind (string): name for the sort of failure, for branching on:
+ *   UNKNOWN, DATABASE, VERSION, TOO_LARGE, QUOTA, SYNTAX, CONSTRAINT and
+ *   TIMEOUT match the SQLError codes; REQUEST and PARSE are failures to
+ *   fetch or parse JSON in the *FromUrl methods
+ * - method (string): the Database method that failed, e.g. 'insertData'
+ * - sql (string), values (array): the failing statement, when known
+ * - error: the original error object
+ *
+ * USAGE:
+ * db.insertData(data).then(null, function(error) {
+ *     if (error.kind === DatabaseError.QUOTA) {
+ *         // tell the user that storage is full
+ *     }
+ * });
+ */
+var DatabaseError = function(error, method, sql, values) {
+	var error = (typeof error !== 'undefined' && error !== null ? error : {});
+	this.message = (typeof error.message !== 'undefined' ? String(error.message) : String(error));
+	this.code = (typeof error.code === 'number' ? error.code : 0);
+	this.kind = (typeof error.kind === 'string' ? error.kind : DatabaseError.kinds[this.code]);
+	if (typeof this.kind === 'undefined') {
+		this.kind = DatabaseError.UNKNOWN;
+	}
+	this.method = (typeof method !== 'undefined' ? method : null);
+	this.sql = (typeof sql !== 'undefined' ? sql : null);
+	this.values = (typeof values !== 'undefined' ? values : null);
+	this.error = error;
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, DatabaseError);
+	} else {
+		this.stack = (new Error(this.message)).stack;
+	}
+};
+
+DatabaseError.prototype = new Error();
+DatabaseError.prototype.constructor = DatabaseError;
+DatabaseError.prototype.name = 'DatabaseError';
+
+// Kinds of error, indexed by SQLError code in DatabaseError.kinds
+DatabaseError.UNKNOWN = 'UNKNOWN';
+DatabaseError.DATABASE = 'DATABASE';
+DatabaseError.VERSION = 'VERSION';
+DatabaseError.TOO_LARGE = 'TOO_LARGE';
+DatabaseError.QUOTA = 'QUOTA';
+DatabaseError.SYNTAX = 'SYNTAX';
+DatabaseError.CONSTRAINT = 'CONSTRAINT';
+DatabaseError.TIMEOUT = 'TIMEOUT';
+DatabaseError.REQUEST = 'REQUEST';
+DatabaseError.PARSE = 'PARSE';
+DatabaseError.kinds = ['UNKNOWN', 'DATABASE', 'VERSION', 'TOO_LARGE', 'QUOTA', 'SYNTAX', 'CONSTRAINT', 'TIMEOUT'];
+DatabaseError.codes = {"UNKNOWN": 0, "DATABASE": 1, "VERSION": 2, "TOO_LARGE": 3, "QUOTA": 4, "SYNTAX": 5, "CONSTRAINT": 6, "TIMEOUT": 7};
+
+/**
+ * DatabaseQueryBuilder (object)
+ *
+ * Chainable builder for select, insert, update and delete statements.
+ * Create one with db.table(tableName); every method except the ones that
+ * produce or run the query returns the builder.
+ *
+ * The statement type defaults to SELECT; insert(), update() and remove()
+ * switch it. The builder compiles through the Database get* methods, so
+ * where() and having() take the same objects (and operators) as getSelect.
+ *
+ * Building:
+ * - select(column, ...) or select([columns])
+ * - distinct()
+ * - join(table, on, type), leftJoin(table, on): `on` is an SQL string or
+ *   an object mapping columns to columns, e.g. {'notes.folder_id': 'folders.id'}
+ * - where(object): repeated calls are joined with AND
+ * - groupBy(column, ...), having(object)
+ * - orderBy(column, direction): repeated calls add more sort columns
+ * - limit(int), offset(int)
+ * - insert(data), update(data), remove()
+ *
+ * Finishing:
+ * - toQuery(): returns the DatabaseQuery
+ * - run(options): runs the query; same options and promise as db.query()
+ * - all(options): alias of run() for reading rows
+ * - first(options): resolves with the first row, or null if there is none
+ *
+ * USAGE:
+ * db.table('notes').update({title: 'Renamed'}).where({id: 5}).run();
+ */
+var DatabaseQueryBuilder = function(db, tableName) {
+	this._database = db;
+	this._table = tableName;
+	this._type = 'select';
+	this._columns = null;
+	this._data = null;
+	this._joins = [];
+	this._wheres = [];
+	this._options = {};
+};
+
+DatabaseQueryBuilder.prototype.select = function(/* columns */) {
+	this._type = 'select';
+	var columns = (arguments.length === 1 && this._database._isArray(arguments[0]) ? arguments[0] : Array.prototype.slice.call(arguments));
+	if (columns.length > 0) {
+		this._columns = columns;
+	}
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.distinct = function() {
+	this._options.distinct = true;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.join = function(tableName, on, type) {
+	var condition = on;
+	if (typeof on !== 'string') {
+		var conditions = [];
+		for (var key in on) {
+			conditions.push(key + ' = ' + on[key]);
+		}
+		condition = conditions.join(' AND ');
+	}
+	var joinType = (typeof type !== 'undefined' ? type.toUpperCase() + ' ' : 'INNER ');
+	this._joins.push(joinType + 'JOIN ' + tableName + ' ON ' + condition);
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.leftJoin = function(tableName, on) {
+	return this.join(tableName, on, 'left');
+};
+
+DatabaseQueryBuilder.prototype.where = function(where) {
+	this._wheres.push(where);
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.groupBy = function(/* columns */) {
+	this._options.groupBy = (arguments.length === 1 && this._database._isArray(arguments[0]) ? arguments[0] : Array.prototype.slice.call(arguments));
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.having = function(having) {
+	this._options.having = having;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.orderBy = function(column, direction) {
+	if (typeof this._options.orderBy === 'undefined') {
+		this._options.orderBy = [];
+	}
+	this._options.orderBy.push(this._database._getOrderTerm(column, direction));
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.limit = function(limit) {
+	this._options.limit = limit;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.offset = function(offset) {
+	this._options.offset = offset;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.insert = function(data) {
+	this._type = 'insert';
+	this._data = data;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.update = function(data) {
+	this._type = 'update';
+	this._data = data;
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.remove = function() {
+	this._type = 'delete';
+	return this;
+};
+
+DatabaseQueryBuilder.prototype.toQuery = function() {
+	return this._toQuery(this._options);
+};
+
+/**
+ * @protected
+ * Compiles the query using `options` in place of the builder's own select
+ * options (distinct, groupBy, having, orderBy, limit and offset)
+ */
+DatabaseQueryBuilder.prototype._toQuery = function(options) {
+	var db = this._database;
+	// Multiple where() calls are combined into a single AND group
+	var where = (this._wheres.length > 1 ? {'$and': this._wheres} : this._wheres[0]);
+	if (this._type === 'insert') {
+		return db.getInsert(this._table, this._data);
+	} else if (this._type === 'update') {
+		return db.getUpdate(this._table, this._data, where);
+	} else if (this._type === 'delete') {
+		return db.getDelete(this._table, where);
+	}
+	var source = this._table;
+	if (this._joins.length > 0) {
+		source += ' ' + this._joins.join(' ');
+	}
+	return db.getSelect(source, this._columns, where, options);
+};
+
+DatabaseQueryBuilder.prototype.run = function(options) {
+	var options = (typeof options !== 'undefined' ? options : {});
+	return this._database.query(this.toQuery(), this._database._mixin({}, options));
+};
+
+DatabaseQueryBuilder.prototype.all = DatabaseQueryBuilder.prototype.run;
+
+DatabaseQueryBuilder.prototype.first = function(options) {
+	var db = this._database;
+	var options = db._mixin({}, (typeof options !== 'undefined' ? options : {}));
+	var deferred = db._deferred();
+	var onSuccess = options.onSuccess;
+	options.onSuccess = function(rows, result) {
+		if (onSuccess) {
+			onSuccess((rows.length > 0 ? rows[0] : null), result);
+		}
+	};
+	options.withResult = false;
+	// Limit a copy of the options, so the builder can still be reused as it was
+	var limited = db._mixin(db._mixin({}, this._options), {"limit": 1});
+	db.query(this._toQuery(limited), options).then(function(rows) {
+		deferred.resolve(rows.length > 0 ? rows[0] : null);
+	}, deferred.reject);
+	return deferred.promise;
+};
+
+
+/**
+ * DatabaseTransaction (object)
+ *
+ * Handed to the callback of db.transaction(); wraps the underlying SQL
+ * transaction. Create these through db.transaction() rather than directly.
+ *
+ * tx.query(sql, options) queues a statement:
+ * - sql (string or DatabaseQuery, required)
+ * - options (object):
+ *    * values (array): replacements for '?' placeholders
+ *      (only use if not passing a DatabaseQuery object)
+ *    * onSuccess (function): receives the rows as an array of objects and
+ *      a result object with `sql`, `rowsAffected` and `insertId`
+ *    * onError (function): receives the error; return false to keep the
+ *      transaction going, anything else rolls it back
+ *
+ * tx.results holds the rows of every statement that has finished so far.
+ */
+var DatabaseTransaction = function(db, transaction) {
+	this.results = [];
+	this._database = db;
+	this._transaction = transaction;
+	this._failed = null;
+	this._changes = [];
+};
+
+DatabaseTransaction.prototype.query = function(sql, options) {
+	var db = this._database;
+	var options = (typeof options !== 'undefined' ? options : {});
+	var values = (typeof options.values !== 'undefined' ? options.values : []);
+	if (typeof sql !== 'string') {
+		values = sql.values;
+		sql = sql.sql;
+	}
+	if (db.debug) {
+		// Output the query to the log for debugging
+		console.log(sql, ' ==> ', values);
+	}
+	var self = this;
+	this._transaction.executeSql(sql, values, function(transaction, results) {
+		var rows = db._convertResultSet(results);
+		var info = db._getResultInfo(results, sql);
+		self.results.push(rows);
+		db._trackChange(self._changes, info);
+		if (options.onSuccess) {
+			options.onSuccess(rows, info);
+		}
+	}, function(transaction, error) {
+		var failure = new DatabaseError(error, 'transaction', sql, values);
+		var keepGoing = (options.onError ? options.onError(failure) === false : false);
+		if (!keepGoing) {
+			self._failed = failure;
+		}
+		// WebSQL rolls back unless the error callback returns false
+		return !keepGoing;
+	});
+	return this;
+};
+
+/**
+ * DatabaseModel (object)
+ *
+ * Base class for the model classes returned by db.defineModel(). Model
+ * objects hold their row's columns as ordinary properties:
+ *
+ * var book = new Book({title: 'Dune'});
+ * book.author = 'Frank Herbert';
+ *
+ * Instance methods:
+ * - save(options): inserts the row, or updates it if a row with the same
+ *   primary key exists; a single INTEGER PRIMARY KEY is filled in from the
+ *   insert. Resolves with the object.
+ * - remove(options): deletes the row by primary key
+ * - toData(): the columns as stored in the database
+ *
+ * Class methods:
+ * - find(id, options): resolves with the object whose primary key is id
+ *   (an object of column values for a composite key), or null
+ * - findAll(where, options): resolves with an array of objects; where and
+ *   options (orderBy, limit, offset) are the same as for getSelect
+ *
+ * Every method takes onSuccess/onError options and returns a promise.
+ *
+ * Relationships are declared on the class; the target can be a model class
+ * or the table name of one (so models can refer to each other before both
+ * are defined). Each call returns the class, for chaining:
+ * - hasMany(name, target, {foreignKey, localKey}): target rows whose
+ *   foreignKey matches this row's localKey (default: the primary key)
+ * - belongsTo(name, target, {foreignKey, ownerKey}): the target row whose
+ *   ownerKey (default: its primary key) matches this row's foreignKey
+ * - manyToMany(name, target, {through, foreignKey, otherKey}): target rows
+ *   linked through the join table `through`, where foreignKey points at
+ *   this row's primary key and otherKey at the target's
+ * All three accept an orderBy option for sorting the related objects.
+ *
+ * find and findAll take an include option naming the relations to load:
+ * a name, an array of names, or an object whose values are the includes
+ * for the related objects. Each relation is loaded with a single
+ * IN (...) query, and stored on the objects under its name (an array, or
+ * an object or null for belongsTo).
+ *
+ * USAGE:
+ * Author.hasMany('books', 'favorite_books', {foreignKey: 'author_id'});
+ * Book.belongsTo('author', 'authors', {foreignKey: 'author_id'});
+ * Author.findAll(null, {include: {books: 'reviews'}}).then(function(authors) {
+ *     // authors[0].books[0].reviews
+ * });
+ */
+var DatabaseModel = function(data) {
+	var defaults = this.constructor.defaults;
+	var key;
+	for (key in defaults) {
+		this[key] = (typeof defaults[key] === 'function' ? defaults[key]() : defaults[key]);
+	}
+	if (typeof data !== 'undefined' && data !== null) {
+		for (key in data) {
+			this[key] = data[key];
+		}
+	}
+};
+
+DatabaseModel.prototype.toData = function() {
+	var Model = this.constructor;
+	var data = {};
+	var name;
+	for (var i = 0; i < Model.columnNames.length; i++) {
+		name = Model.columnNames[i];
+		if (typeof this[name] !== 'undefined') {
+			data[name] = Model.db._serializeValue(this[name]);
+		}
+	}
+	return data;
+};
+
+DatabaseModel.prototype.save = function(options) {
+	var Model = this.constructor;
+	var db = Model.db;
+	var options = db._getOptions(options);
+	var deferred = db._deferred();
+	var data = this.toData();
+	var where = Model._getKeyWhere(this);
+	var insert = null;
+	for (var key in data) {
+		insert = db.getInsert(Model.tableName, data);
+		break;
+	}
+	if (insert === null) {
+		insert = new DatabaseQuery({"sql": 'INSERT INTO ' + Model.tableName + ' DEFAULT VALUES'});
+	}
+	var self = this;
+	var onInsert = function(rows, result) {
+		// Fill in a generated INTEGER PRIMARY KEY
+		if (Model.primaryKey.length === 1 && (self[Model.primaryKey[0]] === null || typeof self[Model.primaryKey[0]] === 'undefined') && result.insertId !== null) {
+			self[Model.primaryKey[0]] = result.insertId;
+		}
+	};
+	db.transaction(function(tx) {
+		if (where === null) {
+			tx.query(insert, {"onSuccess": onInsert});
+			return;
+		}
+		tx.query(db.getUpdate(Model.tableName, data, where), {"onSuccess": function(rows, result) {
+			if (result.rowsAffected === 0) {
+				tx.query(insert, {"onSuccess": onInsert});
+			}
+		}});
+	}, {"onError": options.onError}).then(function() {
+		options.onSuccess(self);
+		deferred.resolve(self);
+	}, deferred.reject);
+	return deferred.promise;
+};
+
+DatabaseModel.prototype.remove = function(options) {
+	var Model = this.constructor;
+	var where = Model._getKeyWhere(this);
+	if (where === null) {
+		var failed = Model.db._deferred();
+		var error = new DatabaseError({"message": 'cannot remove a ' + Model.tableName + ' row without its primary key'}, 'remove');
+		Model.db._getOptions(options).onError(error);
+		failed.reject(error);
+		return failed.promise;
+	}
+	return Model.db.query(Model.db.getDelete(Model.tableName, where), options);
+};
+
+DatabaseModel.statics = {};
+
+DatabaseModel.statics.find = function(id, options) {
+	var where = {};
+	if (id !== null && typeof id === 'object') {
+		where = id;
+	} else {
+		if (this.primaryKey.length !== 1) {
+			throw new Error('Database: find() on ' + this.tableName + ' needs an object with every primary key column');
+		}
+		where[this.primaryKey[0]] = id;
+	}
+	var options = this.db._getOptions(options);
+	var deferred = this.db._deferred();
+	this.findAll(where, {"limit": 1, "include": options.include, "onError": options.onError}).then(function(models) {
+		var model = (models.length > 0 ? models[0] : null);
+		options.onSuccess(model);
+		deferred.resolve(model);
+	}, deferred.reject);
+	return deferred.promise;
+};
+
+DatabaseModel.statics.findAll = function(where, options) {
+	var db = this.db;
+	var options = db._getOptions(options);
+	var deferred = db._deferred();
+	var Model = this;
+	var include = this._getInclude(options.include);
+	var finish = function(models) {
+		options.onSuccess(models);
+		deferred.resolve(models);
+	};
+	db.query(db.getSelect(this.tableName, null, where, options), {"onError": options.onError}).then(function(rows) {
+		var models = [];
+		for (var i = 0; i < rows.length; i++) {
+			models.push(new Model(Model._castRow(rows[i])));
+		}
+		if (include === null) {
+			finish(models);
+			return;
+		}
+		Model._include(models, include, options.onError).then(finish, deferred.reject);
+	}, deferred.reject);
+	return deferred.promise;
+};
+
+DatabaseModel.statics.hasMany = function(name, target, options) {
+	return this._addRelation('hasMany', name, target, options, ['foreignKey']);
+};
+
+DatabaseModel.statics.belongsTo = function(name, target, options) {
+	return this._addRelation('belongsTo', name, target, options, ['foreignKey']);
+};
+
+DatabaseModel.statics.manyToMany = function(name, target, options) {
+	return this._addRelation('manyToMany', name, target, options, ['through', 'foreignKey', 'otherKey']);
+};
+
+/** @protected */
+DatabaseModel.statics._addRelation = function(type, name, target, options, required) {
+	var options = (typeof options !== 'undefined' ? options : {});
+	for (var i = 0; i < required.length; i++) {
+		if (typeof options[required[i]] === 'undefined') {
+			throw new Error('Database: ' + type + ' relation `' + name + '` on ' + this.tableName + ' needs a ' + required[i] + ' option');
+		}
+	}
+	this.relations[name] = this.db._mixin({"type": type, "target": target}, options);
+	return this;
+};
+
+/**
+ * @protected
+ * Normalizes an include option into an object mapping relation names to
+ * their nested includes (or null); returns null if there is nothing to
+ * include
+ */
+DatabaseModel.statics._getInclude = function(include) {
+	if (typeof include === 'undefined' || include === null) {
+		return null;
+	}
+	var result = {};
+	var names = [];
+	var name, i;
+	if (typeof include === 'string') {
+		result[include] = null;
+	} else if (this.db._isArray(include)) {
+		for (i = 0; i < include.length; i++) {
+			result[include[i]] = null;
+		}
+	} else {
+		for (name in include) {
+			result[name] = include[name];
+		}
+	}
+	for (name in result) {
+		if (!this.relations.hasOwnProperty(name)) {
+			throw new Error('Database: model for ' + this.tableName + ' has no relation named `' + name + '`');
+		}
+		names.push(name);
+	}
+	return (names.length > 0 ? result : null);
+};
+
+/**
+ * @protected
+ * Loads the included relations onto models; resolves with the models
+ */
+DatabaseModel.statics._include = function(models, include, onError) {
+	var promises = [];
+	for (var name in include) {
+		promises.push(this._loadRelation(models, name, include[name], onError));
+	}
+	return this.db._whenAll(promises).then(function() {
+		return models;
+	});
+};
+
+/**
+ * @protected
+ * Loads one relation for every model with IN (...) queries, then any
+ * nested includes for the related objects
+ *
+ * The keys are split into groups of up to 999 (SQLite's default limit on
+ * placeholders, as in getInsertMany), all read in one transaction.
+ */
+DatabaseModel.statics._loadRelation = function(models, name, nested, onError) {
+	var db = this.db;
+	var relation = this.relations[name];
+	var Target = (typeof relation.target === 'string' ? db._models[relation.target] : relation.target);
+	if (typeof Target === 'undefined') {
+		throw new Error('Database: relation `' + name + '` on ' + this.tableName + ' targets undefined model ' + relation.target);
+	}
+	var nestedInclude = Target._getInclude(nested);
+	var single = (relation.type === 'belongsTo');
+	var parentKey = (single ? relation.foreignKey : (relation.localKey ? relation.localKey : this.primaryKey[0]));
+	var targetKey = (relation.type === 'hasMany' ? relation.foreignKey : (relation.ownerKey ? relation.ownerKey : Target.primaryKey[0]));
+	// Collect the distinct keys to look up, giving every model an empty result to start with
+	var ids = [];
+	var seen = {};
+	var value, i;
+	for (i = 0; i < models.length; i++) {
+		models[i][name] = (single ? null : []);
+		value = models[i][parentKey];
+		if (value !== null && typeof value !== 'undefined' && !seen.hasOwnProperty(String(value))) {
+			seen[String(value)] = true;
+			ids.push(db._serializeValue(value));
+		}
+	}
+	if (ids.length === 0) {
+		var deferred = db._deferred();
+		deferred.resolve(models);
+		return deferred.promise;
+	}
+	var maxVariables = 999;
+	var queries = [];
+	var where, chunk, groupKey;
+	var select = {"orderBy": relation.orderBy};
+	// The join table's key comes back under an alias so rows can be matched to their parent
+	groupKey = (relation.type === 'manyToMany' ? '__parent_key' : targetKey);
+	for (i = 0; i < ids.length; i += maxVariables) {
+		chunk = ids.slice(i, i + maxVariables);
+		where = {};
+		if (relation.type === 'manyToMany') {
+			where[relation.through + '.' + relation.foreignKey] = {"$in": chunk};
+			queries.push(db.getSelect(
+				Target.tableName + ' JOIN ' + relation.through + ' ON ' + relation.through + '.' + relation.otherKey + ' = ' + Target.tableName + '.' + targetKey,
+				Target.tableName + '.*, ' + relation.through + '.' + relation.foreignKey + ' AS ' + groupKey,
+				where, select
+			));
+		} else {
+			where[targetKey] = {"$in": chunk};
+			queries.push(db.getSelect(Target.tableName, null, where, select));
+		}
+	}
+	return db.queries(queries, {"collect": true, "onError": onError}).then(function(results) {
+		var rows = [];
+		var byKey = {};
+		var related = [];
+		var key, child, matches;
+		for (i = 0; i < results.length; i++) {
+			rows = rows.concat(results[i].rows);
+		}
+		for (i = 0; i < rows.length; i++) {
+			key = String(rows[i][groupKey]);
+			if (relation.type === 'manyToMany') {
+				delete rows[i][groupKey];
+			}
+			child = new Target(Target._castRow(rows[i]));
+			related.push(child);
+			if (!byKey.hasOwnProperty(key)) {
+				byKey[key] = [];
+			}
+			byKey[key].push(child);
+		}
+		for (i = 0; i < models.length; i++) {
+			matches = (byKey.hasOwnProperty(String(models[i][parentKey])) ? byKey[String(models[i][parentKey])] : []);
+			models[i][name] = (single ? (matches.length > 0 ? matches[0] : null) : matches);
+		}
+		return (nestedInclude !== null ? Target._include(related, nestedInclude, onError) : related);
+	});
+};
+
+/** @protected */
+DatabaseModel.statics._castRow = function(row) {
+	for (var key in row) {
+		if (this.columns.hasOwnProperty(key)) {
+			row[key] = this.db._castValue(row[key], this.columns[key]);
+		}
+	}
+	return row;
+};
+
+/**
+ * @protected
+ * Returns the where object matching a model's primary key, or null if the
+ * key is missing
+ */
+DatabaseModel.statics._getKeyWhere = function(model) {
+	if (this.primaryKey.length === 0) {
+		throw new Error('Database: model for ' + this.tableName + ' has no primary key');
+	}
+	var where = {};
+	var value;
+	for (var i = 0; i < this.primaryKey.length; i++) {
+		value = model[this.primaryKey[i]];
+		if (value === null || typeof value === 'undefined') {
+			return null;
+		}
+		where[this.primaryKey[i]] = this.db._serializeValue(value);
+	}
+	return where;
+};
+
+/**
+ * DatabasePromise (object)
+ *
+ * A minimal thenable used in place of Promise on platforms that lack one
+ * (webOS shipped well before native promises). Only supports then() and
+ * catch(); callbacks always run asynchronously.
+ *
+ * USAGE:
+ * db.query('SELECT * FROM notes').then(function(rows) {
+ *     // work with rows
+ * }, function(error) {
+ *     // error.code, error.sql, etc.
+ * });
+ */
+var DatabasePromise = function(executor) {
+	this._state = 'pending';
+	this._value = undefined;
+	this._handlers = [];
+	var self = this;
+	var done = false;
+	var settle = function(state, value) {
+		self._state = state;
+		self._value = value;
+		var length = self._handlers.length;
+		for (var i = 0; i < length; i++) {
+			setTimeout(self._handlers[i], 0);
+		}
+		self._handlers = [];
+	};
+	var resolve = function(value) {
+		if (done) {
+			return;
+		}
+		done = true;
+		if (value && typeof value.then === 'function') {
+			value.then(function(inner) {
+				settle('fulfilled', inner);
+			}, function(reason) {
+				settle('rejected', reason);
+			});
+		} else {
+			settle('fulfilled', value);
+		}
+	};
+	var reject = function(reason) {
+		if (done) {
+			return;
+		}
+		done = true;
+		settle('rejected', reason);
+	};
+	try {
+		executor(resolve, reject);
+	} catch (e) {
+		reject(e);
+	}
+};
+
+DatabasePromise.prototype.then = function(onFulfilled, onRejected) {
+	var self = this;
+	return new DatabasePromise(function(resolve, reject) {
+		var handler = function() {
+			var fulfilled = (self._state === 'fulfilled');
+			var callback = (fulfilled ? onFulfilled : onRejected);
+			if (typeof callback !== 'function') {
+				(fulfilled ? resolve : reject)(self._value);
+				return;
+			}
+			try {
+				resolve(callback(self._value));
+			} catch (e) {
+				reject(e);
+			}
+		};
+		if (self._state === 'pending') {
+			self._handlers.push(handler);
+		} else {
+			setTimeout(handler, 0);
+		}
+	});
+};
+
+DatabasePromise.prototype['catch'] = function(onRejected) {
+	return this.then(null, onRejected);
+};
+
+/**
+ * DatabaseSQLiteAdapter (object)
+ *
+ * Lets the Database class run on top of a synchronous SQLite binding rather
+ * than the browser's WebSQL, such as node:sqlite, better-sqlite3 or sql.js.
+ * Pass it to the constructor as the adapter option:
+ *
+ * var adapter = new DatabaseSQLiteAdapter(function(name) {
+ *     return new (require('node:sqlite').DatabaseSync)(name + '.sqlite');
+ * });
+ * var db = new Database('my_database', {version: '1', adapter: adapter});
+ *
+ * Parameters:
+ * - open (function, required): receives the database name and returns an
+ *   open binding handle
+ *
+ * An adapter only needs an openDatabase(name, version, displayName,
+ * estimatedSize) method that returns an object with WebSQL's version
+ * property and transaction(), readTransaction() and changeVersion()
+ * methods, whose transactions offer executeSql(). This one emulates WebSQL
+ * on top of the binding: transactions are queued and run one at a time,
+ * error callbacks get objects with SQLError codes, and the version is kept
+ * in the same __WebKitDatabaseInfoTable__ that WebKit uses.
+ *
+ * Each database name is opened once per adapter, so Database objects with
+ * the same name share the connection, just as they would in a browser.
+ */
+var DatabaseSQLiteAdapter = function(open) {
+	if (typeof open !== 'function') {
+		throw new Error('DatabaseSQLiteAdapter requires a function that opens the database');
+	}
+	this._open = open;
+	this._connections = {};
+};
+
+DatabaseSQLiteAdapter.prototype.openDatabase = function(name, version, displayName, estimatedSize) {
+	var connection = this._connections[name];
+	if (!connection) {
+		connection = new DatabaseSQLiteConnection(this, name, this._open(name));
+		this._connections[name] = connection;
+	}
+	var expected = (typeof version === 'string' ? version : '');
+	if (connection.version === null) {
+		// Brand new database, so it starts out at the requested version
+		connection._setStoredVersion(expected);
+		connection.version = expected;
+	} else if (expected !== '' && expected !== connection.version) {
+		throw new Error("unable to open database, version mismatch, '" + expected + "' does not match the currentVersion of '" + connection.version + "'");
+	}
+	return connection;
+};
+
+/**
+ * Installs an in-memory, WebSQL-compatible openDatabase() on a global
+ * object, so that any of the database builds (Enyo and Mojo included) can
+ * run where WebSQL is missing, such as in Node on a CI box
+ *
+ * Every database name gets its own in-memory SQLite database, which lasts
+ * until the connection is closed or the process ends.
+ *
+ * Parameters:
+ * - target (object, required): the global object (window, or global in Node)
+ * - open (function): returns a new in-memory binding handle; defaults to
+ *   node:sqlite, which needs Node 22.5 or later. Elsewhere (older Node or
+ *   a browser), pass something like function() { return new SQL.Database(); }
+ *   for sql.js
+ *
+ * Returns the adapter behind the shim
+ *
+ * USAGE:
+ * DatabaseSQLiteAdapter.installShim(global);
+ * var db = new Database('test', '1');
+ */
+DatabaseSQLiteAdapter.installShim = function(target, open) {
+	if (typeof open !== 'function') {
+		if (typeof require !== 'function') {
+			throw new Error('DatabaseSQLiteAdapter: installShim needs an open function when require() is unavailable');
+		}
+		var sqlite = null;
+		try {
+			sqlite = require('node:sqlite');
+		} catch (e) {
+			throw new Error('DatabaseSQLiteAdapter: node:sqlite needs Node 22.5 or later; pass installShim an open function instead (for instance one returning new SQL.Database() from sql.js)');
+		}
+		open = function() {
+			return new sqlite.DatabaseSync(':memory:');
+		};
+	}
+	var adapter = new DatabaseSQLiteAdapter(open);
+	target.openDatabase = function(name, version, displayName, estimatedSize) {
+		return adapter.openDatabase(name, version, displayName, estimatedSize);
+	};
+	return adapter;
+};
+
+/**
+ * DatabaseSQLiteConnection (object)
+ *
+ * WebSQL-style database object returned by DatabaseSQLiteAdapter; create
+ * these through the adapter rather than directly.
+ */
+var DatabaseSQLiteConnection = function(adapter, name, handle) {
+	this._adapter = adapter;
+	this._name = name;
+	this._handle = handle;
+	// sql.js handles have a different statement API from the Node bindings
+	this._isSqlJs = (typeof handle.getRowsModified === 'function');
+	this._queue = [];
+	this._running = false;
+	handle.exec('CREATE TABLE IF NOT EXISTS __WebKitDatabaseInfoTable__ (key TEXT NOT NULL ON CONFLICT FAIL UNIQUE ON CONFLICT REPLACE, value TEXT NOT NULL ON CONFLICT FAIL)');
+	var rows = this._read(this._prepare("SELECT value FROM __WebKitDatabaseInfoTable__ WHERE key = 'WebKitDatabaseVersionKey'"), []);
+	this.version = (rows.length > 0 ? rows[0].value : null);
+};
+
+// SQLError codes
+DatabaseSQLiteConnection.UNKNOWN_ERR = 0;
+DatabaseSQLiteConnection.DATABASE_ERR = 1;
+DatabaseSQLiteConnection.VERSION_ERR = 2;
+DatabaseSQLiteConnection.TOO_LARGE_ERR = 3;
+DatabaseSQLiteConnection.QUOTA_ERR = 4;
+DatabaseSQLiteConnection.SYNTAX_ERR = 5;
+DatabaseSQLiteConnection.CONSTRAINT_ERR = 6;
+DatabaseSQLiteConnection.TIMEOUT_ERR = 7;
+
+DatabaseSQLiteConnection.prototype.transaction = function(callback, errorCallback, successCallback) {
+	this._schedule({"callback": callback, "errorCallback": errorCallback, "successCallback": successCallback, "newVersion": null});
+};
+
+DatabaseSQLiteConnection.prototype.readTransaction = DatabaseSQLiteConnection.prototype.transaction;
+
+DatabaseSQLiteConnection.prototype.changeVersion = function(oldVersion, newVersion, callback, errorCallback, successCallback) {
+	this._schedule({"callback": callback, "errorCallback": errorCallback, "successCallback": successCallback, "oldVersion": oldVersion, "newVersion": newVersion});
+};
+
+DatabaseSQLiteConnection.prototype.close = function() {
+	if (typeof this._handle.close === 'function') {
+		this._handle.close();
+	}
+	delete this._adapter._connections[this._name];
+};
+
+/** @protected */
+DatabaseSQLiteConnection.prototype._schedule = function(task) {
+	this._queue.push(task);
+	if (!this._running) {
+		this._running = true;
+		var self = this;
+		setTimeout(function() {
+			self._next();
+		}, 0);
+	}
+};
+
+/** @protected */
+DatabaseSQLiteConnection.prototype._next = function() {
+	var task = this._queue.shift();
+	if (!task) {
+		this._running = false;
+		return;
+	}
+	// Queue up the next transaction first, so an exception thrown by the final callbacks can't stall the queue
+	var self = this;
+	setTimeout(function() {
+		self._next();
+	}, 0);
+	var error = this._runTransaction(task);
+	if (error !== null) {
+		if (task.errorCallback) {
+			task.errorCallback(error);
+		}
+	} else if (task.successCallback) {
+		task.successCallback();
+	}
+};
+
+/**
+ * @protected
+ * Runs a whole transaction synchronously; returns null on success or the
+ * SQLError-style object that caused it to roll back
+ */
+DatabaseSQLiteConnection.prototype._runTransaction = function(task) {
+	var handle = this._handle;
+	var transaction = new DatabaseSQLiteTransaction(this);
+	var error = null;
+	if (task.newVersion !== null && task.oldVersion !== this.version) {
+		return this._getError(DatabaseSQLiteConnection.VERSION_ERR, 'current version of the database and `oldVersion` argument do not match');
+	}
+	try {
+		handle.exec('BEGIN');
+	} catch (e) {
+		return this._getError(DatabaseSQLiteConnection.DATABASE_ERR, e);
+	}
+	if (task.callback) {
+		try {
+			task.callback(transaction);
+		} catch (e) {
+			error = this._getError(DatabaseSQLiteConnection.UNKNOWN_ERR, e);
+		}
+	}
+	while (error === null && transaction._statements.length > 0) {
+		error = this._runStatement(transaction, transaction._statements.shift());
+	}
+	if (error === null) {
+		try {
+			if (task.newVersion !== null) {
+				this._setStoredVersion(task.newVersion);
+			}
+			handle.exec('COMMIT');
+		} catch (e) {
+			error = this._getError(DatabaseSQLiteConnection.DATABASE_ERR, e);
+		}
+	}
+	if (error !== null) {
+		try {
+			handle.exec('ROLLBACK');
+		} catch (e) {}
+		return error;
+	}
+	if (task.newVersion !== null) {
+		this.version = task.newVersion;
+	}
+	return null;
+};
+
+/**
+ * @protected
+ * Runs one queued statement and its callbacks; returns null, or the error
+ * if the transaction needs to roll back
+ */
+DatabaseSQLiteConnection.prototype._runStatement = function(transaction, statement) {
+	var resultSet = null;
+	var error = null;
+	try {
+		resultSet = this._execute(statement.sql, statement.values);
+	} catch (e) {
+		error = e;
+	}
+	if (error !== null) {
+		var outcome = true;
+		if (statement.errorCallback) {
+			try {
+				outcome = statement.errorCallback(transaction, error);
+			} catch (e) {
+				outcome = true;
+			}
+		}
+		// Per the WebSQL spec, only an explicit false keeps the transaction going
+		return (outcome === false ? null : error);
+	}
+	if (statement.successCallback) {
+		try {
+			statement.successCallback(transaction, resultSet);
+		} catch (e) {
+			return this._getError(DatabaseSQLiteConnection.UNKNOWN_ERR, e);
+		}
+	}
+	return null;
+};
+
+/**
+ * @protected
+ * Executes a statement and builds a WebSQL-style result set; throws
+ * SQLError-style objects
+ */
+DatabaseSQLiteConnection.prototype._execute = function(sql, values) {
+	var params = [];
+	var value;
+	values = (values ? values : []);
+	for (var i = 0; i < values.length; i++) {
+		value = values[i];
+		if (typeof value === 'undefined') {
+			value = null;
+		} else if (typeof value === 'boolean') {
+			value = (value ? 1 : 0);
+		}
+		params.push(value);
+	}
+	var statement;
+	try {
+		statement = this._prepare(sql);
+	} catch (e) {
+		// Like WebKit, anything that fails to compile counts as a syntax error
+		throw this._getError(DatabaseSQLiteConnection.SYNTAX_ERR, e);
+	}
+	var totalChanges = this._scalar('SELECT total_changes()');
+	var rows;
+	try {
+		rows = this._read(statement, params);
+	} catch (e) {
+		var message = String(e && e.message ? e.message : e);
+		var code = DatabaseSQLiteConnection.DATABASE_ERR;
+		if (/constraint/i.test(message)) {
+			code = DatabaseSQLiteConnection.CONSTRAINT_ERR;
+		} else if (/too big|too large/i.test(message)) {
+			code = DatabaseSQLiteConnection.TOO_LARGE_ERR;
+		} else if (/full/i.test(message)) {
+			code = DatabaseSQLiteConnection.QUOTA_ERR;
+		} else if (/busy|locked/i.test(message)) {
+			code = DatabaseSQLiteConnection.TIMEOUT_ERR;
+		}
+		throw this._getError(code, message);
+	}
+	var resultSet = {
+		"rows": {
+			"length": rows.length,
+			"item": function(index) {
+				return rows[index];
+			}
+		},
+		"rowsAffected": 0
+	};
+	if (this._scalar('SELECT total_changes()') !== totalChanges) {
+		resultSet.rowsAffected = this._scalar('SELECT changes()');
+		// WebSQL only reports insertId when the statement inserted a row
+		if (/^\s*(INSERT|REPLACE)\b/i.test(sql)) {
+			resultSet.insertId = this._scalar('SELECT last_insert_rowid()');
+		}
+	}
+	return resultSet;
+};
+
+/** @protected */
+DatabaseSQLiteConnection.prototype._prepare = function(sql) {
+	return this._handle.prepare(sql);
+};
+
+/**
+ * @protected
+ * Runs a prepared statement, returning its rows as plain objects
+ */
+DatabaseSQLiteConnection.prototype._read = function(statement, params) {
+	var rows = [];
+	var i, key, row, results;
+	if (this._isSqlJs) {
+		try {
+			statement.bind(params);
+			while (statement.step()) {
+				rows.push(statement.getAsObject());
+			}
+		} finally {
+			statement.free();
+		}
+		return rows;
+	}
+	// better-sqlite3 refuses to all() statements that don't return data
+	if (statement.reader === false) {
+		statement.run.apply(statement, params);
+		return rows;
+	}
+	results = statement.all.apply(statement, params);
+	for (i = 0; i < results.length; i++) {
+		// node:sqlite rows have no prototype; give callers ordinary objects
+		row = {};
+		for (key in results[i]) {
+			row[key] = results[i][key];
+		}
+		rows.push(row);
+	}
+	return rows;
+};
+
+/** @protected */
+DatabaseSQLiteConnection.prototype._scalar = function(sql) {
+	var row = this._read(this._prepare(sql), [])[0];
+	for (var key in row) {
+		return Number(row[key]);
+	}
+	return null;
+};
+
+/** @protected */
+DatabaseSQLiteConnection.prototype._setStoredVersion = function(version) {
+	this._read(this._prepare("INSERT INTO __WebKitDatabaseInfoTable__ (key, value) VALUES ('WebKitDatabaseVersionKey', ?)"), [version]);
+};
+
+/**
+ * @protected
+ * Creates an object shaped like WebSQL's SQLError
+ */
+DatabaseSQLiteConnection.prototype._getError = function(code, error) {
+	return {"code": code, "message": String(error && error.message ? error.message : error)};
+};
+
+/**
+ * DatabaseSQLiteTransaction (object)
+ *
+ * WebSQL-style transaction handed to transaction callbacks by
+ * DatabaseSQLiteConnection; statements run in the order they are queued.
+ */
+var DatabaseSQLiteTransaction = function(connection) {
+	this._connection = connection;
+	this._statements = [];
+};
+
+DatabaseSQLiteTransaction.prototype.executeSql = function(sql, values, successCallback, errorCallback) {
+	this._statements.push({"sql": sql, "values": values, "successCallback": successCallback, "errorCallback": errorCallback});
+};
+
+
+// Allow loading with require() when running outside of a browser
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		"Database": Database,
+		"DatabaseQuery": DatabaseQuery,
+		"DatabaseError": DatabaseError,
+		"DatabaseSQLiteAdapter": DatabaseSQLiteAdapter
+	};
+}
@@ -0,0 +1,936 @@
+/*
+ * Tests for database-standalone.js, run against the in-memory WebSQL shim
+ * (backed by sql.js so they work on any Node version with node:test)
+ *
+ * Run with: npm test
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var initSqlJs = require('sql.js');
+var lib = require('../javascripts/database-standalone.js');
+
+var schema = require('../samples/schema.json');
+var exampleData = require('../samples/example_data.json');
+
+var counter = 0;
+// Each test gets a fresh, uniquely named in-memory database
+var openDatabase = function(version) {
+	counter++;
+	return new lib.Database('test' + counter, (typeof version !== 'undefined' ? version : '1'));
+};
+
+test.before(function() {
+	return initSqlJs().then(function(SQL) {
+		lib.DatabaseSQLiteAdapter.installShim(global, function() {
+			var handle = new SQL.Database();
+			// Enforce foreign keys, as node:sqlite does by default
+			handle.run('PRAGMA foreign_keys = ON');
+			return handle;
+		});
+	});
+});
+
+test.describe('WebSQL shim', function() {
+	test.it('runs statements with placeholders and exposes rows.item()', function(t, done) {
+		var db = openDatabase();
+		db._db.transaction(function(transaction) {
+			transaction.executeSql('CREATE TABLE t (a INTEGER, b TEXT)');
+			transaction.executeSql('INSERT INTO t (a, b) VALUES (?, ?)', [1, 'one'], function(transaction, results) {
+				assert.strictEqual(results.rowsAffected, 1);
+				assert.strictEqual(results.insertId, 1);
+			});
+			transaction.executeSql('SELECT * FROM t WHERE a = ?', [1], function(transaction, results) {
+				assert.strictEqual(results.rows.length, 1);
+				assert.deepStrictEqual(results.rows.item(0), {a: 1, b: 'one'});
+			});
+		}, function(error) {
+			done(new Error(error.message));
+		}, function() {
+			done();
+		});
+	});
+
+	test.it('reports SQLError codes and rolls back', function(t, done) {
+		var db = openDatabase();
+		var codes = [];
+		db._db.transaction(function(transaction) {
+			transaction.executeSql('CREATE TABLE t (id INTEGER PRIMARY KEY)');
+			transaction.executeSql('INSERT INTO t (id) VALUES (1)');
+			transaction.executeSql('SELEC nothing', [], null, function(transaction, error) {
+				codes.push(error.code);
+				// Returning false keeps the transaction going
+				return false;
+			});
+			transaction.executeSql('INSERT INTO t (id) VALUES (1)', [], null, function(transaction, error) {
+				codes.push(error.code);
+				return true;
+			});
+		}, function(error) {
+			assert.deepStrictEqual(codes, [5, 6]);
+			assert.strictEqual(error.code, 6);
+			db.tableExists('t').then(function(exists) {
+				assert.strictEqual(exists, false);
+				done();
+			}, done);
+		}, function() {
+			done(new Error('transaction should have failed'));
+		});
+	});
+
+	test.it('checks the old version in changeVersion', function(t, done) {
+		var db = openDatabase('1');
+		db._db.changeVersion('2', '3', null, function(error) {
+			assert.strictEqual(error.code, 2);
+			assert.strictEqual(db._db.version, '1');
+			done();
+		}, function() {
+			done(new Error('changeVersion should have failed'));
+		});
+	});
+});
+
+test.describe('setSchema and insertData', function() {
+	test.it('creates tables and inserts inline data', function() {
+		var db = openDatabase();
+		var withData = [{
+			"table": 'notes',
+			"columns": [
+				{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']},
+				{"column": 'title', "type": 'TEXT'}
+			],
+			"data": [{"id": 1, "title": 'First'}]
+		}];
+		return db.setSchema(withData).then(function() {
+			return db.query('SELECT * FROM notes');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{id: 1, title: 'First'}]);
+		});
+	});
+
+	test.it('inserts data for several tables in one transaction', function() {
+		var db = openDatabase();
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.query('SELECT count(*) AS total FROM favorite_books');
+		}).then(function(rows) {
+			assert.strictEqual(rows[0].total, 3);
+			return db.query('SELECT title FROM awesome_video_games ORDER BY rowID');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows.map(function(row) { return row.title; }), ['Dark Forces', 'Earthworm Jim', 'Nethergate']);
+		});
+	});
+
+	test.it('rolls back all data when one row fails', function() {
+		var db = openDatabase();
+		var onError = null;
+		return db.setSchema(schema).then(function() {
+			return db.insertData({"table": 'favorite_books', "data": [
+				{"rowID": 1, "title": 'One'},
+				{"rowID": 1, "title": 'Duplicate'}
+			]}, {"onError": function(error) {
+				onError = error;
+			}});
+		}).then(function() {
+			assert.fail('insertData should have failed');
+		}, function(error) {
+			assert.ok(error instanceof lib.DatabaseError);
+			assert.strictEqual(error.kind, lib.DatabaseError.CONSTRAINT);
+			assert.strictEqual(error.method, 'insertData');
+			assert.match(error.sql, /^INSERT INTO favorite_books/);
+			assert.deepStrictEqual(error.values, [1, 'Duplicate']);
+			assert.strictEqual(onError, error);
+			return db.query('SELECT count(*) AS total FROM favorite_books');
+		}).then(function(rows) {
+			assert.strictEqual(rows[0].total, 0);
+		});
+	});
+
+	test.it('skips existing rows with onConflict ignore', function() {
+		var db = openDatabase();
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.insertData(exampleData, {"onConflict": 'ignore'});
+		}).then(function() {
+			return db.query('SELECT count(*) AS total FROM favorite_books');
+		}).then(function(rows) {
+			assert.strictEqual(rows[0].total, 3);
+		});
+	});
+});
+
+test.describe('insertData onConflict', function() {
+	test.it('updates existing rows and only inserts rows without the key', function() {
+		var db = openDatabase();
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.insertData({"table": 'favorite_books', "data": [
+				{"rowID": 1, "title": 'The Hobbit'},
+				{"title": 'No key', "author": 'Anonymous'}
+			]}, {"onConflict": 'update', "conflictColumns": ['rowID']});
+		}).then(function() {
+			return db.query('SELECT rowID, title FROM favorite_books ORDER BY rowID');
+		}).then(function(rows) {
+			assert.strictEqual(rows.length, 4);
+			assert.strictEqual(rows[1].title, 'The Hobbit');
+			assert.strictEqual(rows[3].title, 'No key');
+		});
+	});
+
+	test.it('rejects an unknown strategy through onError', function() {
+		var db = openDatabase();
+		var onError = null;
+		var promise = db.insertData(exampleData, {"onConflict": 'merge', "onError": function(error) {
+			onError = error;
+		}});
+		return promise.then(function() {
+			assert.fail('insertData should have failed');
+		}, function(error) {
+			assert.ok(error instanceof lib.DatabaseError);
+			assert.strictEqual(error.method, 'insertData');
+			assert.match(error.message, /unknown onConflict strategy `merge`/);
+			assert.strictEqual(onError, error);
+		});
+	});
+});
+
+test.describe('SQL helpers', function() {
+	test.it('builds SELECT statements', function() {
+		var db = openDatabase();
+		var query = db.getSelect('favorite_books', ['title'], {"author": 'J.R.R. Tolkien', "rowID": {"$gt": 0}}, {"orderBy": {"title": 'desc'}, "limit": 5});
+		assert.strictEqual(query.sql, 'SELECT title FROM favorite_books WHERE author = ? AND rowID > ? ORDER BY title DESC LIMIT ?');
+		assert.deepStrictEqual(query.values, ['J.R.R. Tolkien', 0, 5]);
+	});
+
+	test.it('builds UPDATE and DELETE statements', function() {
+		var db = openDatabase();
+		var update = db.getUpdate('favorite_books', {"title": 'Dune'}, {"rowID": 2});
+		assert.strictEqual(update.sql, 'UPDATE favorite_books SET title = ? WHERE rowID = ?');
+		assert.deepStrictEqual(update.values, ['Dune', 2]);
+		var remove = db.getDelete('favorite_books', {"author": {"$in": ['a', 'b']}});
+		assert.strictEqual(remove.sql, 'DELETE FROM favorite_books WHERE author IN (?, ?)');
+		assert.deepStrictEqual(remove.values, ['a', 'b']);
+	});
+
+	test.it('builds upserts with and without conflict columns', function() {
+		var db = openDatabase();
+		var replace = db.getUpsert('favorite_books', {"rowID": 1, "title": 'Dune'});
+		assert.strictEqual(replace.sql, 'INSERT OR REPLACE INTO favorite_books (rowID, title) VALUES (?, ?)');
+		assert.deepStrictEqual(replace.values, [1, 'Dune']);
+		var update = db.getUpsert('favorite_books', {"rowID": 1, "title": 'Dune'}, 'rowID');
+		assert.strictEqual(update.sql, 'INSERT INTO favorite_books (rowID, title) VALUES (?, ?) ON CONFLICT (rowID) DO UPDATE SET title = excluded.title');
+		var nothing = db.getUpsert('favorite_books', {"rowID": 1}, ['rowID']);
+		assert.match(nothing.sql, / ON CONFLICT \(rowID\) DO NOTHING$/);
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.query(update);
+		}).then(function() {
+			return db.query('SELECT title, author FROM favorite_books WHERE rowID = 1');
+		}).then(function(rows) {
+			// Columns left out of the upsert keep their values
+			assert.deepStrictEqual(rows, [{title: 'Dune', author: 'J.R.R. Tolkien'}]);
+		});
+	});
+
+	test.it('splits getInsertMany by placeholders, row count and columns', function() {
+		var db = openDatabase();
+		var rows = [];
+		for (var i = 0; i < 1200; i++) {
+			rows.push({"id": i});
+		}
+		rows.push({"id": 1200, "name": 'last'});
+		var queries = db.getInsertMany('people', rows);
+		// One column fits 999 placeholders, but no more than 500 rows go in a statement
+		assert.deepStrictEqual(queries.map(function(query) {
+			return query.values.length;
+		}), [500, 500, 200, 2]);
+		assert.strictEqual(queries[3].sql, 'INSERT INTO people (id, name) VALUES (?, ?)');
+		var wide = db.getInsertMany('people', rows.slice(0, 10).map(function(row) {
+			return {"id": row.id, "a": 1, "b": 2, "c": 3};
+		}), 10);
+		assert.deepStrictEqual(wide.map(function(query) {
+			return query.values.length;
+		}), [8, 8, 8, 8, 8]);
+		return db.queries(['CREATE TABLE people (id INTEGER PRIMARY KEY, name TEXT)'].concat(queries)).then(function() {
+			return db.query('SELECT count(*) AS total, max(name) AS name FROM people');
+		}).then(function(result) {
+			assert.deepStrictEqual(result, [{total: 1201, name: 'last'}]);
+		});
+	});
+
+	test.it('runs SELECT, UPDATE and DELETE against real data', function() {
+		var db = openDatabase();
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.query(db.getUpdate('favorite_books', {"title": 'Speaker for the Dead'}, {"author": 'Orson Scott Card'}), {"withResult": true});
+		}).then(function(result) {
+			assert.strictEqual(result.rowsAffected, 1);
+			return db.query(db.getDelete('favorite_books', {"rowID": 0}));
+		}).then(function() {
+			return db.query(db.getSelect('favorite_books', ['rowID', 'title'], null, {"orderBy": 'rowID'}));
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [
+				{rowID: 1, title: 'The Lord of the Rings'},
+				{rowID: 2, title: 'Speaker for the Dead'}
+			]);
+		});
+	});
+});
+
+test.describe('query builder', function() {
+	test.it('builds SELECT statements with joins and options', function() {
+		var db = openDatabase();
+		var query = db.table('favorite_books').select('title', 'author').where({"author": 'J.R.R. Tolkien'}).where({"rowID": {"$gt": 0}})
+			.orderBy('title').orderBy('rowID', 'desc').limit(5).offset(10).toQuery();
+		assert.strictEqual(query.sql, 'SELECT title, author FROM favorite_books WHERE ((author = ?) AND (rowID > ?)) ORDER BY title, rowID DESC LIMIT ? OFFSET ?');
+		assert.deepStrictEqual(query.values, ['J.R.R. Tolkien', 0, 5, 10]);
+		var joined = db.table('notes').distinct().select(['notes.title', 'folders.name'])
+			.leftJoin('folders', {"notes.folder_id": 'folders.id'}).join('tags', 'tags.note_id = notes.id').toQuery();
+		assert.strictEqual(joined.sql, 'SELECT DISTINCT notes.title, folders.name FROM notes LEFT JOIN folders ON notes.folder_id = folders.id INNER JOIN tags ON tags.note_id = notes.id');
+		var grouped = db.table('notes').select('folder_id').groupBy('folder_id').having({"count(*)": {"$gt": 1}}).toQuery();
+		assert.strictEqual(grouped.sql, 'SELECT folder_id FROM notes GROUP BY folder_id HAVING count(*) > ?');
+		assert.deepStrictEqual(grouped.values, [1]);
+	});
+
+	test.it('builds INSERT, UPDATE and DELETE statements', function() {
+		var db = openDatabase();
+		var insert = db.table('notes').insert({"id": 1, "title": 'x'}).toQuery();
+		assert.strictEqual(insert.sql, 'INSERT INTO notes (id, title) VALUES (?, ?)');
+		assert.deepStrictEqual(insert.values, [1, 'x']);
+		var update = db.table('notes').update({"title": 'y'}).where({"id": 1}).toQuery();
+		assert.strictEqual(update.sql, 'UPDATE notes SET title = ? WHERE id = ?');
+		assert.deepStrictEqual(update.values, ['y', 1]);
+		var remove = db.table('notes').remove().where({"id": 1}).toQuery();
+		assert.strictEqual(remove.sql, 'DELETE FROM notes WHERE id = ?');
+		assert.deepStrictEqual(remove.values, [1]);
+	});
+
+	test.it('runs queries, and first() leaves the builder unchanged', function() {
+		var db = openDatabase();
+		var books = db.table('favorite_books').select('title').orderBy('rowID');
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return books.first();
+		}).then(function(row) {
+			assert.deepStrictEqual(row, {title: 'The Great Gatsby'});
+			assert.strictEqual(books.toQuery().sql, 'SELECT title FROM favorite_books ORDER BY rowID');
+			return books.all();
+		}).then(function(rows) {
+			assert.strictEqual(rows.length, 3);
+			return db.table('favorite_books').update({"title": 'Dune'}).where({"rowID": 2}).run({"withResult": true});
+		}).then(function(result) {
+			assert.strictEqual(result.rowsAffected, 1);
+			return db.table('favorite_books').remove().where({"rowID": {"$lt": 2}}).run();
+		}).then(function() {
+			return books.all();
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{title: 'Dune'}]);
+			return db.table('favorite_books').where({"rowID": 99}).first();
+		}).then(function(row) {
+			assert.strictEqual(row, null);
+		});
+	});
+});
+
+test.describe('changeVersionWithSchema', function() {
+	test.it('applies the schema and changes the version', function() {
+		var db = openDatabase('1');
+		return db.changeVersionWithSchema('2', schema).then(function(version) {
+			assert.strictEqual(version, '2');
+			assert.strictEqual(db.getVersion(), '2');
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, ['awesome_video_games', 'favorite_books']);
+		});
+	});
+
+	test.it('keeps the old version when the schema fails', function() {
+		var db = openDatabase('1');
+		return db.changeVersionWithSchema('2', ['CREATE TABLE a (x)', 'NOT SQL']).then(function() {
+			assert.fail('changeVersionWithSchema should have failed');
+		}, function(error) {
+			assert.strictEqual(error.kind, lib.DatabaseError.SYNTAX);
+			assert.strictEqual(error.method, 'changeVersionWithSchema');
+			assert.strictEqual(error.sql, 'NOT SQL');
+			assert.strictEqual(db._db.version, '1');
+			return db.tableExists('a');
+		}).then(function(exists) {
+			assert.strictEqual(exists, false);
+		});
+	});
+
+	test.it('checks foreign keys before changing the version', function() {
+		var db = openDatabase('1');
+		var notes = function(references) {
+			return {"table": 'notes', "columns": [
+				{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']},
+				{"column": 'folder_id', "type": 'INTEGER'}
+			], "foreignKeys": [{"columns": ['folder_id'], "references": references}]};
+		};
+		var onError = null;
+		return db.changeVersionWithSchema('2', notes('folders'), {"onError": function(error) {
+			onError = error;
+		}}).then(function() {
+			assert.fail('changeVersionWithSchema should have failed');
+		}, function(error) {
+			assert.strictEqual(onError, error);
+			assert.strictEqual(error.method, 'changeVersionWithSchema');
+			assert.match(error.message, /references table folders/);
+			assert.strictEqual(db._db.version, '1');
+			// A table from an earlier version is fine to reference
+			return db.changeVersionWithSchema('2', {"table": 'folders', "columns": [{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']}]});
+		}).then(function() {
+			return db.changeVersionWithSchema('3', notes('folders'));
+		}).then(function(version) {
+			assert.strictEqual(version, '3');
+			return db.tableExists('notes');
+		}).then(function(exists) {
+			assert.strictEqual(exists, true);
+		});
+	});
+});
+
+test.describe('migrate', function() {
+	var migrations = [
+		{"from": '1', "to": '2', "schema": ['CREATE TABLE two (x)']},
+		{"from": '2', "to": '3', "schema": ['CREATE TABLE three (x)']},
+		{"from": 1, "to": 3, "schema": ['CREATE TABLE shortcut (x)']},
+		{"from": '3', "to": '4', "schema": ['CREATE TABLE four (x)']}
+	];
+
+	test.it('takes the shortest path to the last version and reports progress', function() {
+		var db = openDatabase('1');
+		var progress = [];
+		return db.migrate(migrations, {"onProgress": function(info) {
+			progress.push(info);
+		}}).then(function(version) {
+			assert.strictEqual(version, '4');
+			assert.strictEqual(db.getVersion(), '4');
+			assert.deepStrictEqual(progress, [
+				{from: '1', to: '3', step: 1, steps: 2},
+				{from: '3', to: '4', step: 2, steps: 2}
+			]);
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, ['four', 'shortcut']);
+			// Already at the target, so there is nothing to run
+			return db.migrate(migrations);
+		}).then(function(version) {
+			assert.strictEqual(version, '4');
+		});
+	});
+
+	test.it('migrates to a given version, and fails when there is no path', function() {
+		var db = openDatabase('2');
+		var onError = null;
+		return db.migrate(migrations, {"version": '3'}).then(function(version) {
+			assert.strictEqual(version, '3');
+			return db.migrate(migrations, {"version": '1', "onError": function(error) {
+				onError = error;
+			}});
+		}).then(function() {
+			assert.fail('migrate should have failed');
+		}, function(error) {
+			assert.strictEqual(onError, error);
+			assert.strictEqual(error.kind, lib.DatabaseError.VERSION);
+			assert.strictEqual(error.method, 'migrate');
+			assert.strictEqual(db.getVersion(), '3');
+		});
+	});
+
+	test.it('stops at the last successful version when a step fails', function() {
+		var db = openDatabase('1');
+		var broken = {"from": '2', "to": '3', "schema": ['CREATE TABLE ok (x)', 'BROKEN']};
+		var progress = [];
+		return db.migrate([migrations[0], broken, migrations[3]], {"onProgress": function(info) {
+			progress.push(info.to);
+		}}).then(function() {
+			assert.fail('migrate should have failed');
+		}, function(error) {
+			assert.strictEqual(error.migration, broken);
+			assert.strictEqual(error.method, 'changeVersionWithSchema');
+			assert.strictEqual(error.sql, 'BROKEN');
+			assert.deepStrictEqual(progress, ['2']);
+			assert.strictEqual(db.getVersion(), '2');
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, ['two']);
+		});
+	});
+});
+
+test.describe('change events', function() {
+	test.it('settles the promise before notifying, and survives a throwing handler', function() {
+		var db = openDatabase();
+		var order = [];
+		var log = console.log;
+		return db.setSchema(schema).then(function() {
+			db.on('change', function() {
+				order.push('throwing');
+				throw new Error('handler failed');
+			});
+			db.on('change', 'favorite_books', function(event) {
+				order.push('books ' + event.operation + ' ' + event.rowsAffected);
+			});
+			console.log = function() {};
+			var inserted = db.query(db.getInsert('favorite_books', {"title": 'Dune'}), {"onSuccess": function() {
+				order.push('onSuccess');
+			}}).then(function() {
+				order.push('resolved');
+			});
+			return inserted;
+		}).then(function() {
+			console.log = log;
+			assert.deepStrictEqual(order, ['onSuccess', 'throwing', 'books insert 1', 'resolved']);
+			return db.transaction(function(tx) {
+				tx.query(db.getDelete('favorite_books', {"title": 'Dune'}));
+			}, {"onSuccess": function() {
+				order.push('transaction onSuccess');
+			}});
+		}, function(error) {
+			console.log = log;
+			throw error;
+		}).then(function() {
+			assert.deepStrictEqual(order.slice(4), ['transaction onSuccess', 'throwing', 'books delete 1']);
+		});
+	});
+});
+
+test.describe('importSql', function() {
+	test.it('keeps CASE ... END inside a trigger body', function() {
+		var db = openDatabase();
+		var dump = [
+			'BEGIN TRANSACTION;',
+			'CREATE TABLE scores (value INTEGER, grade TEXT);',
+			'CREATE TRIGGER grade AFTER INSERT ON scores BEGIN',
+			"  UPDATE scores SET grade = CASE WHEN new.value > 50 THEN 'pass;' ELSE 'fail' END WHERE rowid = new.rowid;",
+			'END;',
+			'INSERT INTO scores (value) VALUES (80);',
+			'COMMIT;'
+		].join('\n');
+		return db.importSql(dump).then(function() {
+			return db.query('SELECT grade FROM scores');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{grade: 'pass;'}]);
+		});
+	});
+});
+
+test.describe('diffSchema', function() {
+	test.it('reports columns that ADD COLUMN cannot create', function() {
+		var db = openDatabase();
+		var table = function(columns) {
+			return {"table": 'people', "columns": [{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']}].concat(columns)};
+		};
+		return db.setSchema(table([])).then(function() {
+			return db.diffSchema(table([
+				{"column": 'name', "type": 'TEXT', "constraints": ['NOT NULL']},
+				{"column": 'created', "type": 'TEXT', "constraints": ['DEFAULT CURRENT_TIMESTAMP']},
+				{"column": 'score', "type": 'INTEGER', "constraints": ['NOT NULL', 'DEFAULT 0']}
+			]));
+		}).then(function(diff) {
+			assert.deepStrictEqual(diff.differences.map(function(difference) {
+				return difference.column + ' ' + difference.problem;
+			}), ['name cannot add', 'created cannot add']);
+			assert.deepStrictEqual(diff.alterations, {"people": ['ALTER TABLE people ADD COLUMN score INTEGER NOT NULL DEFAULT 0']});
+		});
+	});
+});
+
+test.describe('exportSchema', function() {
+	test.it('round-trips keys, constraints and AUTOINCREMENT through setSchema', function() {
+		var db = openDatabase();
+		var copy = openDatabase();
+		var exported = null;
+		return db.queries([
+			'CREATE TABLE folders (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL UNIQUE)',
+			'CREATE TABLE notes (id INTEGER PRIMARY KEY, folder_id INTEGER REFERENCES folders (id) ON DELETE CASCADE, n INT DEFAULT 0, CONSTRAINT positive CHECK (n >= 0), UNIQUE (folder_id, n))'
+		]).then(function() {
+			return db.exportSchema();
+		}).then(function(schema) {
+			exported = schema;
+			assert.deepStrictEqual(schema[0].columns[0].constraints, ['PRIMARY KEY AUTOINCREMENT']);
+			assert.deepStrictEqual(schema[0].columns[1].constraints, ['NOT NULL', 'UNIQUE']);
+			assert.deepStrictEqual(schema[1].constraints, ['CONSTRAINT positive CHECK (n >= 0)', 'UNIQUE (folder_id, n)']);
+			assert.deepStrictEqual(schema[1].foreignKeys, [{"columns": ['folder_id'], "references": {"table": 'folders', "columns": ['id']}, "onDelete": 'CASCADE'}]);
+			return copy.setSchema(schema);
+		}).then(function() {
+			return copy.exportSchema();
+		}).then(function(schema) {
+			assert.deepStrictEqual(schema, exported);
+		});
+	});
+});
+
+test.describe('exportCsv', function() {
+	test.it('keeps the source order and hands over chunks', function() {
+		var db = openDatabase();
+		var chunks = [];
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			return db.exportCsv(db.getSelect('favorite_books', ['rowID', 'title'], null, {"orderBy": {"rowID": 'desc'}}), {
+				"chunkSize": 2,
+				"onChunk": function(text) {
+					chunks.push(text);
+				}
+			});
+		}).then(function(count) {
+			assert.strictEqual(count, 3);
+			assert.deepStrictEqual(chunks, [
+				'rowID,title\r\n2,Ender\'s Game\r\n1,The Lord of the Rings\r\n',
+				'0,The Great Gatsby\r\n'
+			]);
+			return db.exportCsv('favorite_books', {"columns": ['title'], "header": true});
+		}).then(function(text) {
+			assert.strictEqual(text.split('\r\n')[0], 'title');
+			return db.query('DELETE FROM favorite_books');
+		}).then(function() {
+			return db.exportCsv('favorite_books', {"columns": ['title']});
+		}).then(function(text) {
+			assert.strictEqual(text, 'title\r\n');
+		});
+	});
+
+	test.it('reads a page at a time in one transaction', function() {
+		var db = openDatabase();
+		var transactions = 0;
+		var statements = [];
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			var transaction = db._db.transaction;
+			db._db.transaction = function(callback, error, success) {
+				transactions++;
+				return transaction.call(db._db, function(tx) {
+					var executeSql = tx.executeSql;
+					tx.executeSql = function(sql, values) {
+						statements.push(values.slice(-2));
+						return executeSql.apply(tx, arguments);
+					};
+					callback(tx);
+				}, error, success);
+			};
+			return db.exportCsv('favorite_books', {"columns": ['rowID'], "chunkSize": 3});
+		}).then(function(text) {
+			assert.strictEqual(text, 'rowID\r\n0\r\n1\r\n2\r\n');
+			assert.strictEqual(transactions, 1);
+			// A full page means there may be more, so one more read finds none
+			assert.deepStrictEqual(statements, [[3, 0], [3, 3]]);
+		});
+	});
+});
+
+test.describe('models', function() {
+	var tasks = {"table": 'tasks', "columns": [
+		{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']},
+		{"column": 'title', "type": 'TEXT'},
+		{"column": 'done', "type": 'BOOLEAN'},
+		{"column": 'due', "type": 'DATETIME'},
+		{"column": 'priority', "type": 'INTEGER'}
+	]};
+	var defineTask = function(db) {
+		return db.defineModel('tasks', db._mixin({"defaults": {"done": false, "priority": function() {
+			return 3;
+		}}}, tasks));
+	};
+
+	test.it('inserts new objects, then updates them by primary key', function() {
+		var db = openDatabase();
+		var Task = defineTask(db);
+		var task = new Task({"title": 'Write tests'});
+		assert.strictEqual(task.done, false);
+		assert.strictEqual(task.priority, 3);
+		return db.setSchema(tasks).then(function() {
+			return task.save();
+		}).then(function(saved) {
+			assert.strictEqual(saved, task);
+			assert.strictEqual(task.id, 1);
+			task.title = 'Write more tests';
+			return task.save();
+		}).then(function() {
+			// An object with a key that is not in the table yet is inserted
+			return new Task({"id": 7, "title": 'Keyed'}).save();
+		}).then(function() {
+			return db.query('SELECT id, title FROM tasks ORDER BY id');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{id: 1, title: 'Write more tests'}, {id: 7, title: 'Keyed'}]);
+			return Task.find(7);
+		}).then(function(found) {
+			assert.ok(found instanceof Task);
+			assert.strictEqual(found.title, 'Keyed');
+			return Task.find(99);
+		}).then(function(found) {
+			assert.strictEqual(found, null);
+			return Task.findAll({"title": {"$like": 'Write%'}});
+		}).then(function(found) {
+			assert.strictEqual(found.length, 1);
+			return found[0].remove();
+		}).then(function() {
+			return Task.findAll();
+		}).then(function(found) {
+			assert.deepStrictEqual(found.map(function(model) { return model.id; }), [7]);
+		});
+	});
+
+	test.it('casts BOOLEAN, DATETIME and number columns', function() {
+		var db = openDatabase();
+		var Task = defineTask(db);
+		var due = new Date(Date.UTC(2012, 0, 2, 3, 4, 5));
+		return db.setSchema(tasks).then(function() {
+			return new Task({"id": 1, "title": 'Cast', "done": true, "due": due}).save();
+		}).then(function() {
+			return db.query('SELECT done, due FROM tasks');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{done: 1, due: '2012-01-02T03:04:05.000Z'}]);
+			return db.queries([
+				"UPDATE tasks SET due = '2012-01-02 03:04:05', priority = '5', done = 'false'",
+				"INSERT INTO tasks (id, title, done) VALUES (2, 'Nulls', NULL)"
+			]);
+		}).then(function() {
+			return Task.findAll(null, {"orderBy": 'id'});
+		}).then(function(found) {
+			assert.strictEqual(found[0].done, false);
+			assert.ok(found[0].due instanceof Date);
+			assert.strictEqual(found[0].due.getTime(), due.getTime());
+			assert.strictEqual(found[0].priority, 5);
+			assert.strictEqual(found[1].done, null);
+			assert.strictEqual(found[1].due, null);
+		});
+	});
+
+	test.it('rejects remove() without a primary key through onError', function() {
+		var db = openDatabase();
+		var Task = defineTask(db);
+		var onError = null;
+		var promise = new Task({"title": 'No key'}).remove({"onError": function(error) {
+			onError = error;
+		}});
+		return promise.then(function() {
+			assert.fail('remove should have failed');
+		}, function(error) {
+			assert.ok(error instanceof lib.DatabaseError);
+			assert.strictEqual(error.method, 'remove');
+			assert.match(error.message, /without its primary key/);
+			assert.strictEqual(onError, error);
+		});
+	});
+});
+
+test.describe('model relations', function() {
+	test.it('loads includes for more parents than SQLite allows placeholders', function() {
+		var db = openDatabase();
+		var authors = {"table": 'authors', "columns": [
+			{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']}
+		]};
+		var books = {"table": 'books', "columns": [
+			{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']},
+			{"column": 'author_id', "type": 'INTEGER'}
+		]};
+		var authorRows = [];
+		var bookRows = [];
+		for (var i = 1; i <= 1500; i++) {
+			authorRows.push({"id": i});
+			bookRows.push({"id": i, "author_id": i});
+		}
+		var Author = db.defineModel('authors', authors).hasMany('books', 'books', {"foreignKey": 'author_id'});
+		db.defineModel('books', books);
+		return db.setSchema([authors, books]).then(function() {
+			return db.insertData([{"table": 'authors', "data": authorRows}, {"table": 'books', "data": bookRows}], {"bulk": true});
+		}).then(function() {
+			return Author.findAll(null, {"include": 'books', "orderBy": 'id'});
+		}).then(function(found) {
+			assert.strictEqual(found.length, 1500);
+			assert.strictEqual(found[1499].books.length, 1);
+			assert.strictEqual(found[1499].books[0].id, 1500);
+		});
+	});
+});
+
+test.describe('read cache', function() {
+	// Counts the transactions that reach SQLite, so cache hits can be told apart
+	var countReads = function(db) {
+		var counter = {"reads": 0};
+		var transaction = db._db.transaction;
+		db._db.transaction = function() {
+			counter.reads++;
+			return transaction.apply(this, arguments);
+		};
+		return counter;
+	};
+	var setup = function(cacheOptions) {
+		var db = openDatabase();
+		return db.setSchema(schema).then(function() {
+			return db.insertData(exampleData);
+		}).then(function() {
+			db.enableCache(cacheOptions);
+			return db;
+		});
+	};
+
+	test.it('answers repeated reads from memory until a write commits', function() {
+		var db, counter;
+		return setup().then(function(result) {
+			db = result;
+			counter = countReads(db);
+			return db.query('SELECT title FROM favorite_books WHERE rowID = ?', {"values": [1]});
+		}).then(function() {
+			return db.query('SELECT title FROM favorite_books WHERE rowID = ?', {"values": [1]});
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{title: 'The Lord of the Rings'}]);
+			assert.strictEqual(counter.reads, 1);
+			return db.query('SELECT title FROM favorite_books WHERE rowID = ?', {"values": [1], "cache": false});
+		}).then(function() {
+			assert.strictEqual(counter.reads, 2);
+			return db.query(db.getUpdate('favorite_books', {"title": 'The Hobbit'}, {"rowID": 1}));
+		}).then(function() {
+			return db.query('SELECT title FROM favorite_books WHERE rowID = ?', {"values": [1]});
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{title: 'The Hobbit'}]);
+			assert.strictEqual(counter.reads, 4);
+		});
+	});
+
+	test.it('drops the least recently used entry when full', function() {
+		var db, counter;
+		var select = function(rowID) {
+			return db.query('SELECT title FROM favorite_books WHERE rowID = ?', {"values": [rowID]});
+		};
+		return setup({"size": 2}).then(function(result) {
+			db = result;
+			counter = countReads(db);
+			return select(0);
+		}).then(function() {
+			return select(1);
+		}).then(function() {
+			// Touch 0 so that 1 is the oldest when 2 arrives
+			return select(0);
+		}).then(function() {
+			return select(2);
+		}).then(function() {
+			assert.strictEqual(counter.reads, 3);
+			return select(0);
+		}).then(function() {
+			assert.strictEqual(counter.reads, 3);
+			return select(1);
+		}).then(function() {
+			assert.strictEqual(counter.reads, 4);
+		});
+	});
+
+	test.it('expires entries after the TTL', function() {
+		var db, counter;
+		return setup({"ttl": 20}).then(function(result) {
+			db = result;
+			counter = countReads(db);
+			return db.query('SELECT * FROM favorite_books');
+		}).then(function() {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 40);
+			});
+		}).then(function() {
+			return db.query('SELECT * FROM favorite_books');
+		}).then(function() {
+			assert.strictEqual(counter.reads, 2);
+		});
+	});
+
+	test.it('sees tables created after an earlier lookup', function() {
+		var db = openDatabase();
+		db.enableCache();
+		var notes = {"table": 'notes', "columns": [{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']}], "data": [{"id": 1}]};
+		return db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'notes'").then(function(rows) {
+			assert.deepStrictEqual(rows, []);
+			return db.tableExists('notes');
+		}).then(function(exists) {
+			assert.strictEqual(exists, false);
+			return db.setSchema(notes);
+		}).then(function() {
+			return db.tableExists('notes');
+		}).then(function(exists) {
+			assert.strictEqual(exists, true);
+			return db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'notes'");
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{name: 'notes'}]);
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, ['notes']);
+			return db.exportData();
+		}).then(function(exported) {
+			assert.deepStrictEqual(exported, [{"table": 'notes', "data": [{id: 1}]}]);
+		});
+	});
+});
+
+test.describe('destroy', function() {
+	test.it('drops everything, children before the tables they reference', function() {
+		var db = openDatabase('3');
+		var folders = {"table": 'folders', "columns": [
+			{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']}
+		], "data": [{"id": 1}]};
+		var notes = {"table": 'notes', "columns": [
+			{"column": 'id', "type": 'INTEGER', "constraints": ['PRIMARY KEY']},
+			{"column": 'folder_id', "type": 'INTEGER'}
+		], "foreignKeys": [{"columns": ['folder_id'], "references": 'folders'}], "indexes": [{"columns": ['folder_id']}], "data": [{"id": 1, "folder_id": 1}]};
+		return db.setSchema([folders, notes]).then(function() {
+			return db.query('CREATE VIEW folder_notes AS SELECT * FROM notes');
+		}).then(function() {
+			return db.destroy();
+		}).then(function() {
+			assert.strictEqual(db.getVersion(), '');
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, []);
+			return db.query("SELECT name FROM sqlite_master WHERE type IN ('index', 'view') AND name NOT LIKE 'sqlite%'");
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, []);
+		});
+	});
+
+	test.it('reports the DROP that failed and keeps the database', function() {
+		var db = openDatabase('3');
+		// The parent is newer than its child, so it is dropped first
+		return db.queries([
+			'CREATE TABLE notes (id INTEGER PRIMARY KEY, folder_id INTEGER REFERENCES folders (id))',
+			'CREATE TABLE folders (id INTEGER PRIMARY KEY)',
+			'INSERT INTO folders (id) VALUES (1)',
+			'INSERT INTO notes (id, folder_id) VALUES (1, 1)'
+		]).then(function() {
+			return db.destroy();
+		}).then(function() {
+			assert.fail('destroy should have failed');
+		}, function(error) {
+			assert.strictEqual(error.method, 'destroy');
+			assert.match(error.sql, /^DROP TABLE IF EXISTS "?folders"?$/);
+			assert.strictEqual(db.getVersion(), '3');
+			return db.getTables();
+		}).then(function(tables) {
+			assert.deepStrictEqual(tables, ['folders', 'notes']);
+		});
+	});
+});
+
+test.describe('dumpSql', function() {
+	test.it('writes BLOBs as hex literals that import as BLOBs', function() {
+		var db = openDatabase();
+		var copy = openDatabase();
+		return db.queries([
+			'CREATE TABLE files (id INTEGER PRIMARY KEY, data BLOB)',
+			"INSERT INTO files (id, data) VALUES (1, x'00ff10')"
+		]).then(function() {
+			return db.dumpSql();
+		}).then(function(dump) {
+			assert.match(dump, /INSERT INTO "?files"? .*X'00ff10'/);
+			return copy.importSql(dump);
+		}).then(function() {
+			return copy.query('SELECT typeof(data) AS type, hex(data) AS hex FROM files');
+		}).then(function(rows) {
+			assert.deepStrictEqual(rows, [{type: 'blob', hex: '00FF10'}]);
+		});
+	});
+});